@@ -0,0 +1,208 @@
+/**
+ * Bastion Attack
+ * Resolves Bastion Attacked events against the defenders in an actor's facilities
+ */
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Resolution and undo of bastion attacks
+ */
+export class BastionAttack {
+
+  /**
+   * Roll a d6 for every defender, remove those who fall and shut down undefended facilities
+   * @param {Actor5e} actor
+   * @returns {Promise<string>} A description of the outcome
+   */
+  static async resolve(actor) {
+    const facilities = actor.itemTypes.facility || [];
+    const defenders = [];
+    for (const facility of facilities) {
+      for (const uuid of facility.system.defenders?.value || []) {
+        defenders.push({ uuid, facility });
+      }
+    }
+
+    let roll = null;
+    const results = [];
+    if (defenders.length) {
+      roll = await new Roll(`${defenders.length}d6`).evaluate();
+      const dice = roll.dice[0]?.results || [];
+      defenders.forEach((defender, i) => {
+        const result = dice[i]?.result ?? 6;
+        results.push({ ...defender, result, fallen: result === 1 });
+      });
+    }
+
+    // Work out which defenders are lost and which facilities are left undefended
+    const updates = [];
+    const disabled = [];
+    for (const facility of facilities) {
+      const before = facility.system.defenders?.value || [];
+      const fallen = results.filter(r => r.fallen && r.facility === facility).map(r => r.uuid);
+      const after = before.filter(uuid => !fallen.includes(uuid));
+      const update = { _id: facility.id };
+      if (fallen.length) update['system.defenders.value'] = after;
+      if (before.length && !after.length && !facility.system.disabled) {
+        update['system.disabled'] = true;
+        disabled.push(facility);
+      }
+      if (Object.keys(update).length > 1) updates.push(update);
+    }
+
+    // With no defenders at all, a random special facility is shut down instead
+    if (!defenders.length) {
+      const special = facilities.filter(f => f.system.type.value === 'special' && !f.system.disabled);
+      const facility = special[Math.floor(Math.random() * special.length)];
+      if (facility) {
+        updates.push({ _id: facility.id, 'system.disabled': true });
+        disabled.push(facility);
+      }
+    }
+
+    if (updates.length) await actor.updateEmbeddedDocuments('Item', updates);
+
+    // Remember only what the attack changed, so undoing it keeps anything done since
+    const changes = facilities.map(facility => ({
+      id: facility.id,
+      fallen: results.filter(r => r.fallen && r.facility === facility).map(r => r.uuid),
+      disabled: disabled.includes(facility)
+    })).filter(c => c.fallen.length || c.disabled);
+
+    const fallenCount = results.filter(r => r.fallen).length;
+    await BastionAttack._createChatCard(actor, { roll, results, disabled, changes, fallenCount });
+
+    return game.i18n.format('BASTION_MANAGER.Attack.Outcome', {
+      fallen: fallenCount,
+      total: defenders.length,
+      disabled: disabled.length
+    });
+  }
+
+  /**
+   * Post the attack results to chat with an undo button for the GM
+   * @param {Actor5e} actor
+   * @param {Object} data
+   * @returns {Promise<ChatMessage>}
+   */
+  static async _createChatCard(actor, { roll, results, disabled, changes, fallenCount }) {
+    const rows = results.map(r => {
+      const defender = fromUuidSync(r.uuid);
+      return `
+        <li class="attack-defender ${r.fallen ? 'fallen' : ''}">
+          <img src="${defender?.img || 'icons/svg/mystery-man.svg'}" alt="">
+          <span class="attack-name">${foundry.utils.escapeHTML(defender?.name || game.i18n.localize('BASTION_MANAGER.Staff.Unknown'))}</span>
+          <span class="attack-facility">${foundry.utils.escapeHTML(r.facility.name)}</span>
+          <span class="attack-die">${r.result}</span>
+        </li>
+      `;
+    }).join('');
+
+    const disabledList = disabled.length ? `
+      <p class="attack-disabled">
+        <i class="fas fa-wrench"></i>
+        ${game.i18n.format('BASTION_MANAGER.Attack.Disabled', { facilities: disabled.map(f => foundry.utils.escapeHTML(f.name)).join(', ') })}
+      </p>
+    ` : '';
+
+    const content = `
+      <div class="bastion-manager bastion-attack-card">
+        <h3><i class="fas fa-burst"></i> ${game.i18n.localize('BASTION_MANAGER.Attack.Title')}</h3>
+        ${results.length
+          ? `<p>${game.i18n.format('BASTION_MANAGER.Attack.Summary', { fallen: fallenCount, total: results.length })}</p><ul class="attack-defenders">${rows}</ul>`
+          : `<p>${game.i18n.localize('BASTION_MANAGER.Attack.NoDefenders')}</p>`}
+        ${disabledList}
+        <button type="button" class="attack-undo" data-action="undoBastionAttack">
+          <i class="fas fa-rotate-left"></i> ${game.i18n.localize('BASTION_MANAGER.Attack.Undo')}
+        </button>
+      </div>
+    `;
+
+    return ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ actor }),
+      rolls: roll ? [roll] : [],
+      flags: {
+        [MODULE_ID]: {
+          attack: { actorId: actor.id, changes, undone: false }
+        }
+      }
+    });
+  }
+
+  /**
+   * Bring back the defenders an attack killed, where their facility has room, and reopen the
+   * facilities it shut down (GM only)
+   * @param {ChatMessage} message
+   */
+  static async undo(message) {
+    if (!game.user.isGM) return;
+
+    const attack = message.getFlag(MODULE_ID, 'attack');
+    if (!attack || attack.undone) return;
+
+    const actor = game.actors.get(attack.actorId);
+    if (!actor) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.NoActorSelected'));
+      return;
+    }
+
+    const updates = [];
+    let unplaced = 0;
+    for (const change of attack.changes || []) {
+      const facility = actor.items.get(change.id);
+      if (!facility) continue;
+
+      const update = { _id: facility.id };
+      const { value = [], max = 0 } = facility.system.defenders || {};
+      const returning = change.fallen.filter(uuid => !value.includes(uuid));
+      const room = Math.max(0, max - value.length);
+      if (returning.length && room) update['system.defenders.value'] = [...value, ...returning.slice(0, room)];
+      unplaced += Math.max(0, returning.length - room);
+
+      if (change.disabled && facility.system.disabled) update['system.disabled'] = false;
+      if (Object.keys(update).length > 1) updates.push(update);
+    }
+    if (updates.length) await actor.updateEmbeddedDocuments('Item', updates);
+
+    await message.setFlag(MODULE_ID, 'attack.undone', true);
+    ui.notifications.info(game.i18n.localize('BASTION_MANAGER.Attack.Undone'));
+    if (unplaced) ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Attack.NoRoom', { count: unplaced }));
+  }
+
+  /**
+   * Wire up the undo button on attack chat cards
+   * @param {ChatMessage} message
+   * @param {HTMLElement} html
+   */
+  static onRenderChatMessage(message, html) {
+    const attack = message.getFlag(MODULE_ID, 'attack');
+    if (!attack) return;
+
+    const button = html.querySelector('[data-action="undoBastionAttack"]');
+    if (!button) return;
+
+    if (!game.user.isGM || attack.undone) {
+      if (attack.undone) {
+        button.disabled = true;
+        button.innerHTML = `<i class="fas fa-check"></i> ${game.i18n.localize('BASTION_MANAGER.Attack.Undone')}`;
+      } else {
+        button.remove();
+      }
+      return;
+    }
+
+    button.addEventListener('click', async (event) => {
+      event.preventDefault();
+      button.disabled = true;
+      try {
+        await BastionAttack.undo(message);
+      } catch (err) {
+        console.error(`${MODULE_ID} | Could not undo a bastion attack`, err);
+        ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Attack.UndoFailed'));
+        button.disabled = false;
+      }
+    });
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Bastion Crafting
+ * Chooses what a facility crafts and hands over the finished item when the Craft order completes
+ */
+
+import { BastionOrders } from './bastion-orders.mjs';
+import { BastionStorage } from './bastion-storage.mjs';
+import { BastionTreasury } from './bastion-treasury.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Craft order helpers for facilities that make items
+ */
+export class BastionCrafting {
+
+  /**
+   * What each crafting facility can make, keyed by facility identifier. Follows the Craft options
+   * of the special facilities in the 2024 Dungeon Master's Guide (chapter 8, "Bastions"), where magic
+   * items (Arcana, Armament, Implement and Relic) and spell scrolls are limited to common and uncommon.
+   * Magic items are only allowed where listed, up to the given rarity.
+   * @type {Record<string, {types: string[], maxRarity?: string}>}
+   */
+  static CRAFTABLE = {
+    'arcane-study': { types: ['equipment', 'consumable', 'loot'], maxRarity: 'uncommon' },
+    'laboratory': { types: ['consumable'] },
+    'sacristy': { types: ['consumable', 'equipment', 'loot'], maxRarity: 'uncommon' },
+    'scriptorium': { types: ['consumable', 'loot'], maxRarity: 'uncommon' },
+    'smithy': { types: ['weapon', 'equipment'], maxRarity: 'uncommon' },
+    'workshop': { types: ['tool', 'equipment', 'consumable', 'loot'], maxRarity: 'uncommon' }
+  };
+
+  /**
+   * What a facility missing from CRAFTABLE can make
+   * @type {{types: string[], maxRarity?: string}}
+   */
+  static DEFAULT_CRAFTABLE = { types: ['consumable', 'equipment', 'loot', 'tool', 'weapon'] };
+
+  /**
+   * Get what a facility is allowed to craft
+   * @param {Item5e} facility
+   * @returns {{types: string[], maxRarity?: string}}
+   */
+  static getCraftable(facility) {
+    return BastionCrafting.CRAFTABLE[facility.identifier] ?? BastionCrafting.DEFAULT_CRAFTABLE;
+  }
+
+  /**
+   * Whether a facility can craft an item
+   * @param {Item5e} facility
+   * @param {Item5e} item
+   * @returns {boolean}
+   */
+  static canCraft(facility, item) {
+    const { types, maxRarity } = BastionCrafting.getCraftable(facility);
+    if (!types.includes(item.type)) return false;
+    if (!item.system.properties?.has('mgc')) return true;
+    if (!maxRarity) return false;
+
+    const rarities = Object.keys(CONFIG.DND5E.itemRarity);
+    return rarities.indexOf(item.system.rarity) <= rarities.indexOf(maxRarity);
+  }
+
+  /**
+   * Work out what crafting an item costs: half its price in gold, over a day for every 10 gp
+   * of its price, and never less than the Craft order itself takes
+   * @param {Item5e} facility
+   * @param {Item5e} item
+   * @returns {{gold: number, days: number}}
+   */
+  static getCost(facility, item) {
+    const price = item.system.price || {};
+    const conversion = CONFIG.DND5E.currencies[price.denomination]?.conversion || 1;
+    const value = (price.value || 0) / conversion;
+    return {
+      gold: Math.ceil(value / 2),
+      days: Math.max(BastionOrders.getDuration(facility, 'craft'), Math.ceil(value / 10))
+    };
+  }
+
+  /**
+   * Pick an item for a facility to craft, confirm its cost, then pay for it and start the Craft order
+   * @param {Item5e} facility
+   * @returns {Promise<boolean>} Whether crafting was started
+   */
+  static async promptCraft(facility) {
+    const { types, maxRarity } = BastionCrafting.getCraftable(facility);
+
+    // Hide magic items entirely, or just the rarities above the facility's limit
+    const rarities = Object.keys(CONFIG.DND5E.itemRarity);
+    const additional = maxRarity
+      ? { rarity: Object.fromEntries(rarities.slice(rarities.indexOf(maxRarity) + 1).map(r => [r, -1])) }
+      : { properties: { mgc: -1 } };
+
+    const result = await dnd5e.applications.CompendiumBrowser.selectOne({
+      filters: { locked: { types: new Set(types), additional } }
+    });
+    if (!result) return false;
+
+    const item = await fromUuid(result);
+    if (!item) return false;
+    if (!BastionCrafting.canCraft(facility, item)) {
+      ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Crafting.NotAllowed', { item: item.name, facility: facility.name }));
+      return false;
+    }
+
+    const cost = BastionCrafting.getCost(facility, item);
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize('BASTION_MANAGER.Crafting.Title'),
+        icon: 'fa-solid fa-hammer'
+      },
+      content: `<p>${game.i18n.format('BASTION_MANAGER.Crafting.Confirm', {
+        item: foundry.utils.escapeHTML(item.name),
+        facility: foundry.utils.escapeHTML(facility.name),
+        gold: cost.gold,
+        days: cost.days
+      })}</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return false;
+
+    return BastionCrafting.startCraft(facility, item, cost);
+  }
+
+  /**
+   * Pay for an item and set a facility crafting it
+   * @param {Item5e} facility
+   * @param {Item5e} item
+   * @param {{gold: number, days: number}} [cost]
+   * @returns {Promise<boolean>} Whether crafting was started
+   */
+  static async startCraft(facility, item, cost = BastionCrafting.getCost(facility, item)) {
+    const actor = facility.actor;
+
+    // Materials are paid for from the actor's own coins, so others can only start free crafts,
+    // which the GM checks before making the change
+    if (!actor.isOwner) {
+      if (cost.gold) {
+        ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Crafting.OwnerOnly'));
+        return false;
+      }
+      return BastionStorage.requestCraft(facility, item);
+    }
+
+    const coins = foundry.utils.deepClone(actor.system.currency);
+    if (cost.gold && !(await BastionTreasury.spendGold(actor, cost.gold))) {
+      ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Warnings.NotEnoughGold', { gold: cost.gold }));
+      return false;
+    }
+
+    // Give the coins back if the facility couldn't start crafting
+    if (!(await BastionStorage.updateFacility(facility, BastionCrafting.getCraftUpdate(item, cost)))) {
+      if (cost.gold) await actor.update({ 'system.currency': coins });
+      return false;
+    }
+
+    if (cost.gold) {
+      await BastionTreasury.recordPurchase(actor, cost.gold, game.i18n.format('BASTION_MANAGER.Ledger.CraftMaterials', {
+        item: item.name,
+        facility: facility.name
+      }));
+    }
+    return true;
+  }
+
+  /**
+   * Build the update that sets a facility crafting an item
+   * @param {Item5e} item
+   * @param {{gold: number, days: number}} cost
+   * @returns {Object}
+   */
+  static getCraftUpdate(item, cost) {
+    return {
+      'system.progress': { value: 0, max: cost.days, order: 'craft' },
+      'system.craft': { item: item.uuid, quantity: 1 }
+    };
+  }
+
+  /**
+   * Add items whose Craft orders completed to an actor's inventory, stacking them with copies
+   * crafted before
+   * @param {Actor5e} actor
+   * @param {Array<{facilityName: string, item: string, quantity: number}>} crafts
+   * @returns {Promise<string[]>} The names of the items handed over
+   */
+  static async deliver(actor, crafts) {
+    const delivered = [];
+    for (const { facilityName, item: uuid, quantity = 1 } of crafts) {
+      const item = uuid ? await fromUuid(uuid) : null;
+      if (!item) continue;
+      await BastionCrafting.giveItem(actor, item, quantity);
+
+      ui.notifications.info(game.i18n.format('BASTION_MANAGER.Crafting.Completed', {
+        facility: facilityName,
+        item: item.name,
+        actor: actor.name
+      }));
+      delivered.push(item.name);
+    }
+    return delivered;
+  }
+
+  /**
+   * Add copies of an item to an actor's inventory, stacking them with copies the bastion made before
+   * @param {Actor5e} actor
+   * @param {Item5e} item  The item to copy
+   * @param {number} quantity
+   * @returns {Promise<Item5e|null>} The created or updated item
+   */
+  static async giveItem(actor, item, quantity) {
+    const existing = actor.items.find(i => {
+      return (i.getFlag(MODULE_ID, 'sourceUuid') === item.uuid) || (i._stats?.compendiumSource === item.uuid);
+    });
+    if (existing && ('quantity' in existing.system)) {
+      return existing.update({ 'system.quantity': (existing.system.quantity || 0) + quantity });
+    }
+
+    const data = game.items.fromCompendium(item);
+    foundry.utils.setProperty(data, 'system.quantity', quantity);
+    foundry.utils.setProperty(data, `flags.${MODULE_ID}.sourceUuid`, item.uuid);
+    const [created] = await actor.createEmbeddedDocuments('Item', [data]);
+    return created ?? null;
+  }
+}
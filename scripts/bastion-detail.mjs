@@ -1,8 +1,19 @@
 /**
  * Bastion Detail Application
- * Shows detailed bastion management for a single actor (like Tidy 5e sheets bastion tab)
+ * Shows detailed bastion management for a single actor or a combined party bastion (like Tidy 5e sheets bastion tab)
  */
 
+import { BastionOrders } from './bastion-orders.mjs';
+import { BastionTreasury } from './bastion-treasury.mjs';
+import { BastionTransfer } from './bastion-transfer.mjs';
+import { BastionScene } from './bastion-scene.mjs';
+import { BastionJournal } from './bastion-journal.mjs';
+import { BastionReport } from './bastion-report.mjs';
+import { BastionStorage } from './bastion-storage.mjs';
+import { BastionOccupants } from './bastion-occupants.mjs';
+import { BastionCrafting } from './bastion-crafting.mjs';
+import { BastionHarvest } from './bastion-harvest.mjs';
+
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 const MODULE_ID = 'bastion-manager';
@@ -15,6 +26,7 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
   constructor(options = {}) {
     super(options);
     this.actorId = options.actorId || null;
+    this.groupId = options.groupId || null;
   }
 
   /** @override */
@@ -36,11 +48,28 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
       openFacility: BastionDetail.#onOpenFacility,
       editFacility: BastionDetail.#onEditFacility,
       deleteFacility: BastionDetail.#onDeleteFacility,
+      enlargeFacility: BastionDetail.#onEnlargeFacility,
       useFacility: BastionDetail.#onUseFacility,
       addFacility: BastionDetail.#onAddFacility,
       deleteOccupant: BastionDetail.#onDeleteOccupant,
+      recruit: BastionDetail.#onRecruit,
+      acknowledgeHarvest: BastionDetail.#onAcknowledgeHarvest,
+      configureHarvest: BastionDetail.#onConfigureHarvest,
       openActor: BastionDetail.#onOpenActor,
-      editDescription: BastionDetail.#onEditDescription
+      openOccupant: BastionDetail.#onOpenOccupant,
+      depositGold: BastionDetail.#onDepositGold,
+      withdrawGold: BastionDetail.#onWithdrawGold,
+      addLedgerEntry: BastionDetail.#onAddLedgerEntry,
+      editDescription: BastionDetail.#onEditDescription,
+      exportBastion: BastionDetail.#onExportBastion,
+      importBastion: BastionDetail.#onImportBastion,
+      createScene: BastionDetail.#onCreateScene,
+      postReport: BastionDetail.#onPostReport,
+      linkJournal: BastionDetail.#onLinkJournal,
+      unlinkJournal: BastionDetail.#onUnlinkJournal,
+      syncJournal: BastionDetail.#onSyncJournal,
+      openJournal: BastionDetail.#onOpenJournal,
+      editJournalPage: BastionDetail.#onEditJournalPage
     }
   };
 
@@ -56,9 +85,25 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
       template: 'modules/bastion-manager/templates/detail-facilities.hbs',
       scrollable: ['.facilities-content']
     },
+    floorplan: {
+      template: 'modules/bastion-manager/templates/detail-floorplan.hbs',
+      scrollable: ['.floorplan-content']
+    },
     description: {
       template: 'modules/bastion-manager/templates/detail-description.hbs',
       scrollable: ['.description-content']
+    },
+    staff: {
+      template: 'modules/bastion-manager/templates/detail-staff.hbs',
+      scrollable: ['.staff-content']
+    },
+    ledger: {
+      template: 'modules/bastion-manager/templates/detail-ledger.hbs',
+      scrollable: ['.ledger-content']
+    },
+    chronicle: {
+      template: 'modules/bastion-manager/templates/detail-chronicle.hbs',
+      scrollable: ['.chronicle-content']
     }
   };
 
@@ -67,7 +112,11 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     primary: {
       tabs: [
         { id: 'facilities', group: 'primary', icon: 'fa-solid fa-building', label: 'BASTION_MANAGER.Tabs.Facilities' },
-        { id: 'description', group: 'primary', icon: 'fa-solid fa-scroll', label: 'BASTION_MANAGER.Tabs.Description' }
+        { id: 'floorplan', group: 'primary', icon: 'fa-solid fa-border-all', label: 'BASTION_MANAGER.Tabs.Floorplan' },
+        { id: 'description', group: 'primary', icon: 'fa-solid fa-scroll', label: 'BASTION_MANAGER.Tabs.Description' },
+        { id: 'staff', group: 'primary', icon: 'fa-solid fa-users', label: 'BASTION_MANAGER.Tabs.Staff' },
+        { id: 'ledger', group: 'primary', icon: 'fa-solid fa-coins', label: 'BASTION_MANAGER.Tabs.Ledger' },
+        { id: 'chronicle', group: 'primary', icon: 'fa-solid fa-book-open', label: 'BASTION_MANAGER.Tabs.Chronicle' }
       ],
       initial: 'facilities'
     }
@@ -78,35 +127,149 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     primary: 'facilities'
   };
 
+  /**
+   * Width of the floorplan grid, in 5-foot squares
+   * @type {number}
+   */
+  static FLOORPLAN_COLUMNS = 24;
+
+  /**
+   * Minimum height of the floorplan grid, in 5-foot squares
+   * @type {number}
+   */
+  static FLOORPLAN_MIN_ROWS = 12;
+
+  /**
+   * Size of one floorplan square on screen, in pixels
+   * @type {number}
+   */
+  static FLOORPLAN_CELL_SIZE = 28;
+
   /* -------------------------------------------- */
   /*  Properties                                  */
   /* -------------------------------------------- */
 
   /**
-   * The actor whose bastion is being managed
+   * The combined bastion being managed, if this is a party bastion
+   * @type {{name: string, members: string[]}|null}
+   */
+  get group() {
+    return this.groupId ? game.bastionManager.getBastionGroup(this.groupId) : null;
+  }
+
+  /**
+   * The ID this bastion's settings and treasury are stored under
+   * @type {string}
+   */
+  get bastionId() {
+    return this.groupId || this.actorId;
+  }
+
+  /**
+   * Every actor whose facilities make up this bastion
+   * @type {Actor5e[]}
+   */
+  get members() {
+    return game.bastionManager.getBastionMembers(this.bastionId);
+  }
+
+  /**
+   * The actor whose bastion is being managed. For a combined bastion this is its first member.
    * @type {Actor5e|null}
    */
   get actor() {
+    if (this.groupId) return this.members[0] ?? null;
     return game.actors.get(this.actorId);
   }
 
+  /**
+   * Every facility in the bastion, across all of its members
+   * @type {Item5e[]}
+   */
+  get facilityItems() {
+    return this.members.flatMap(a => a.itemTypes.facility || []);
+  }
+
   /** @override */
   get title() {
     const actor = this.actor;
     if (!actor) return game.i18n.localize('BASTION_MANAGER.Detail.Title');
     
-    const bastionData = game.bastionManager.getBastionData(this.actorId);
-    const bastionName = bastionData.name || actor.system.bastion?.name || `${actor.name}'s Bastion`;
+    const bastionData = game.bastionManager.getBastionData(this.bastionId);
+    const bastionName = bastionData.name || this.group?.name || actor.system.bastion?.name || `${actor.name}'s Bastion`;
     return bastionName;
   }
 
   /** @override */
   _initializeApplicationOptions(options) {
     options = super._initializeApplicationOptions(options);
-    options.uniqueId = `bastion-detail-${options.actorId || 'unknown'}`;
+    options.uniqueId = `bastion-detail-${options.groupId || options.actorId || 'unknown'}`;
     return options;
   }
 
+  /**
+   * Whether an actor's changes affect what this window shows
+   * @param {string} actorId
+   * @returns {boolean}
+   */
+  includesActor(actorId) {
+    if (this.groupId) return !!this.group?.members.includes(actorId);
+    return this.actorId === actorId;
+  }
+
+  /**
+   * Find a facility belonging to any member of the bastion
+   * @param {string} facilityId
+   * @returns {Item5e|null}
+   */
+  _getFacility(facilityId) {
+    for (const actor of this.members) {
+      const facility = actor.items.get(facilityId);
+      if (facility?.type === 'facility') return facility;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the current user has at least a sharing level for a member of the bastion.
+   * Owners and GMs can do anything.
+   * @param {Actor5e} actor
+   * @param {number} level  A PERMISSION_LEVELS value
+   * @returns {boolean}
+   */
+  _can(actor, level) {
+    if (!actor) return false;
+    if (actor.isOwner || game.user.isGM) return true;
+    return game.bastionManager.getSharedLevel(this.bastionId) >= level;
+  }
+
+  /**
+   * Whether the current user can fully edit a member's facilities
+   * @param {Actor5e} actor
+   * @returns {boolean}
+   */
+  _canEdit(actor) {
+    return this._can(actor, game.bastionManager.PERMISSION_LEVELS.EDIT);
+  }
+
+  /**
+   * Whether the current user can change the actor itself, not just its facilities
+   * @param {Actor5e} actor
+   * @returns {boolean}
+   */
+  _isOwner(actor) {
+    return !!actor && (actor.isOwner || game.user.isGM);
+  }
+
+  /**
+   * The member whose coins are used when the current user moves gold in or out of the treasury
+   * @returns {Actor5e|null}
+   */
+  _getPurseActor() {
+    const members = this.members;
+    return members.find(a => a.id === game.user.character?.id) ?? members.find(a => a.isOwner) ?? null;
+  }
+
   /* -------------------------------------------- */
   /*  Rendering                                   */
   /* -------------------------------------------- */
@@ -117,15 +280,31 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     
     context.actor = this.actor;
     context.actorId = this.actorId;
+    context.bastionId = this.bastionId;
+    context.isGroup = !!this.groupId;
     context.isGM = game.user.isGM;
-    context.isOwner = this.actor?.isOwner || false;
-    context.editable = context.isOwner || context.isGM;
+    context.hasScene = !!BastionScene.getScene(this.bastionId);
+    context.isOwner = this.members.some(a => a.isOwner);
+    context.editable = game.bastionManager.canEditBastion(this.bastionId);
     
     if (this.actor) {
+      context.members = this._prepareMembersContext();
       context.bastion = await this._prepareBastionContext();
+      context.journal = await BastionJournal.prepareContext(this.bastionId);
       context.facilities = await this._prepareFacilitiesContext();
+      context.floorplan = this._prepareFloorplanContext(context.facilities);
+      context.construction = this._prepareConstructionContext();
       context.defenders = this._prepareDefendersContext();
       context.hirelings = this._prepareHirelingsContext();
+      context.staff = this._prepareStaffContext(context);
+      const purse = this._getPurseActor() ?? this.actor;
+      context.treasury = {
+        purse: { name: purse.name, img: purse.img },
+        balance: game.bastionManager.getTreasury(this.bastionId).balance,
+        actorGold: Math.floor(BastionTreasury.getGoldValue(purse)),
+        ledger: BastionTreasury.prepareLedger(this.bastionId)
+      };
+      context.chronicle = this._prepareChronicleContext();
     }
 
     // Prepare tabs
@@ -149,7 +328,7 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     const actor = this.actor;
     if (!actor) return {};
 
-    const bastionData = game.bastionManager.getBastionData(this.actorId);
+    const bastionData = game.bastionManager.getBastionData(this.bastionId);
     const systemBastion = actor.system.bastion || {};
     
     const enrichedDescription = await TextEditor.enrichHTML(systemBastion.description || '', {
@@ -159,60 +338,96 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     });
 
     return {
-      name: bastionData.name || systemBastion.name || `${actor.name}'s Bastion`,
+      name: bastionData.name || this.group?.name || systemBastion.name || `${actor.name}'s Bastion`,
       image: bastionData.image || 'icons/svg/tower.svg',
       description: enrichedDescription,
       rawDescription: systemBastion.description || ''
     };
   }
 
+  /**
+   * Prepare the members of the bastion for the header
+   * @returns {Array}
+   */
+  _prepareMembersContext() {
+    return this.members.map(actor => ({
+      id: actor.id,
+      name: actor.name,
+      img: actor.img,
+      level: actor.system.details?.level
+    }));
+  }
+
   /**
    * Prepare the facilities context
    * @returns {Promise<Object>}
    */
   async _prepareFacilitiesContext() {
-    const actor = this.actor;
-    if (!actor) return { basic: { chosen: [], available: [] }, special: { chosen: [], available: [] } };
-
-    const facilities = { basic: { chosen: [] }, special: { chosen: [] } };
-    const facilityItems = actor.itemTypes.facility || [];
+    const facilities = {
+      basic: { chosen: [], available: [], value: 0, max: 0, override: 0 },
+      special: { chosen: [], available: [], value: 0, max: 0, override: 0 }
+    };
+    const members = this.members;
+    if (!members.length) return facilities;
+
+    // Each member's slot limits apply to their own facilities, so work them out member by member
+    for (const actor of members) {
+      const owned = { basic: [], special: [] };
+      for (const facility of actor.itemTypes.facility || []) {
+        const ctx = await this._prepareFacilityContext(facility);
+        owned[ctx.isSpecial ? 'special' : 'basic'].push(ctx);
+      }
 
-    for (const facility of facilityItems) {
-      const ctx = await this._prepareFacilityContext(facility);
-      if (ctx.isSpecial) {
-        facilities.special.chosen.push(ctx);
-      } else {
-        facilities.basic.chosen.push(ctx);
+      const slots = this._prepareSlotsContext(actor, owned);
+      for (const type of ['basic', 'special']) {
+        facilities[type].chosen.push(...owned[type]);
+        facilities[type].available.push(...slots[type].available);
+        facilities[type].value += slots[type].value;
+        facilities[type].max += slots[type].max;
+        facilities[type].override += slots[type].override;
       }
     }
 
-    // Calculate available slots based on character level + overrides
-    const level = actor.system.details?.level || 1;
-    const advancement = CONFIG.DND5E.facilities.advancement;
-    const overrides = game.bastionManager.getBuildingOverrides(this.actorId);
+    return facilities;
+  }
 
-    for (const [type, config] of Object.entries(advancement)) {
-      const [, baseAvailable] = Object.entries(config).reverse().find(([lvl]) => Number(lvl) <= level) || [];
-      const override = type === 'basic' ? (overrides.basic || 0) : (overrides.special || 0);
-      const totalAvailable = (baseAvailable || 0) + override;
-      
-      const current = facilities[type].chosen.filter(f => (type === 'basic') || !f.free).length;
-      facilities[type].value = current;
-      facilities[type].max = totalAvailable;
-      facilities[type].override = override;
+  /**
+   * Work out the facility slots one member has used and has left
+   * @param {Actor5e} actor
+   * @param {{basic: Array, special: Array}} owned  The member's prepared facilities
+   * @returns {Object}
+   */
+  _prepareSlotsContext(actor, owned) {
+    const slots = {};
+
+    // Calculate available slots based on character level + overrides, or the GM's limits for other actors
+    const limits = game.bastionManager.getSlotLimits(actor.id);
+    const overrides = game.bastionManager.usesLevelTable(actor)
+      ? game.bastionManager.getBuildingOverrides(actor.id)
+      : { basic: 0, special: 0 };
+    const editable = this._canEdit(actor);
+    const slot = label => ({ label, actorId: actor.id, actorName: actor.name, editable });
+
+    for (const type of ['basic', 'special']) {
+      const override = overrides[type] || 0;
+      const totalAvailable = limits[type];
       
+      const current = owned[type].filter(f => (type === 'basic') || !f.free).length;
       const remaining = Math.max(0, totalAvailable - current);
-      facilities[type].available = Array.from({ length: remaining }, () => ({
-        label: `DND5E.FACILITY.AvailableFacility.${type}.free`
-      }));
+      slots[type] = {
+        value: current,
+        max: totalAvailable,
+        override,
+        available: Array.from({ length: remaining }, () => slot(`DND5E.FACILITY.AvailableFacility.${type}.free`))
+      };
     }
 
     // Basic facilities always have at least one "build" slot
-    if (!facilities.basic.available.length) {
-      facilities.basic.available.push({ label: 'DND5E.FACILITY.AvailableFacility.basic.build' });
+    if (!slots.basic.available.length) {
+      slots.basic.available.push(slot('DND5E.FACILITY.AvailableFacility.basic.build'));
     }
 
-    return facilities;
+    return slots;
   }
 
   /**
@@ -253,7 +468,8 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
         craft = {
           uuid: data.craft.item,
           name: item.name,
-          img: item.img
+          img: item.img,
+          quantity: data.craft.quantity || 1
         };
       }
     }
@@ -261,12 +477,31 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     // Build subtitle
     const sizeLabel = CONFIG.DND5E.facilities.sizes[data.size]?.label || data.size;
     const typeLabel = data.type.label || CONFIG.DND5E.facilities.types[data.type.value]?.label || '';
-    const subtitle = `${game.i18n.localize(typeLabel)} · ${game.i18n.localize(sizeLabel)}`;
+    let subtitle = `${game.i18n.localize(typeLabel)} · ${game.i18n.localize(sizeLabel)}`;
+
+    // Show the size being built towards while an enlargement is underway
+    if ((progress.order === 'enlarge') && data.building?.size && (data.building.size !== data.size)) {
+      const targetLabel = CONFIG.DND5E.facilities.sizes[data.building.size]?.label || data.building.size;
+      subtitle += ` <i class="fas fa-arrow-right"></i> ${game.i18n.localize(targetLabel)}`;
+    }
+
+    // In a combined bastion, show which member each facility belongs to
+    const owner = this.groupId ? {
+      id: facility.actor.id,
+      name: facility.actor.name,
+      img: facility.actor.img
+    } : null;
 
     return {
       id: facility.id,
       uuid: facility.uuid,
       facility,
+      owner,
+      editable: this._canEdit(facility.actor),
+      canStaff: this._can(facility.actor, game.bastionManager.PERMISSION_LEVELS.STAFF),
+      canOrder: this._can(facility.actor, game.bastionManager.PERMISSION_LEVELS.ORDERS),
+      isOwner: this._isOwner(facility.actor),
+      canRecruit: this._can(facility.actor, game.bastionManager.PERMISSION_LEVELS.STAFF) && Actor.canUserCreate(game.user),
       name: facility.name,
       img: facility.img,
       subtitle,
@@ -281,6 +516,10 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
       hirelings,
       creatures,
       craft,
+      harvest: BastionHarvest.getResult(facility),
+      configureHarvest: game.user.isGM && (data.order === 'harvest'),
+      orders: BastionOrders.prepareOrderOptions(facility),
+      enlarge: this._isOwner(facility.actor) ? BastionOrders.getEnlargement(facility) : null,
       hasOccupants: defenders.length > 0 || hirelings.length > 0 || creatures.length > 0
     };
   }
@@ -325,29 +564,99 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   /**
-   * Prepare defenders roster context
-   * @returns {Array}
+   * Prepare the floorplan, placing each facility as a block sized by its square count.
+   * Facilities without a saved position are fitted into the first free space.
+   * @param {Object} facilities  The prepared facilities context
+   * @returns {Object}
    */
-  _prepareDefendersContext() {
-    const defenders = [];
-    const facilities = this.actor?.itemTypes.facility || [];
+  _prepareFloorplanContext(facilities) {
+    const columns = BastionDetail.FLOORPLAN_COLUMNS;
+    const saved = game.bastionManager.getBastionData(this.bastionId).floorplan || {};
+    const sizes = CONFIG.DND5E.facilities.sizes;
+    const count = occupants => ({ value: occupants.filter(o => !o.empty).length, max: occupants.length });
+
+    const blocks = [...facilities.special.chosen, ...facilities.basic.chosen].map(fac => {
+      const squares = sizes[fac.facility.system.size]?.squares || 4;
+      const side = Math.min(columns, Math.max(1, Math.ceil(Math.sqrt(squares))));
+      return {
+        ...fac,
+        squares,
+        w: side,
+        h: side,
+        position: saved[fac.id] ?? null,
+        occupancy: {
+          defenders: count(fac.defenders),
+          hirelings: count(fac.hirelings),
+          creatures: count(fac.creatures)
+        }
+      };
+    });
 
-    for (const facility of facilities) {
-      const defenderData = facility.system.defenders;
-      if (!defenderData?.value?.length) continue;
+    // Mark the squares taken by saved blocks, then fit the rest around them, largest first
+    const taken = new Set();
+    const fits = (x, y, w, h) => {
+      for (let dx = 0; dx < w; dx++) {
+        for (let dy = 0; dy < h; dy++) if (taken.has(`${x + dx},${y + dy}`)) return false;
+      }
+      return true;
+    };
+    const occupy = block => {
+      for (let dx = 0; dx < block.w; dx++) {
+        for (let dy = 0; dy < block.h; dy++) taken.add(`${block.x + dx},${block.y + dy}`);
+      }
+    };
+    const place = (block, fromY = 0) => {
+      for (let y = fromY; block.y === undefined; y++) {
+        for (let x = 0; x <= columns - block.w; x++) {
+          if (!fits(x, y, block.w, block.h)) continue;
+          Object.assign(block, { x, y });
+          break;
+        }
+      }
+      occupy(block);
+    };
 
-      for (let i = 0; i < defenderData.value.length; i++) {
-        const uuid = defenderData.value[i];
-        defenders.push({
-          uuid,
-          index: i,
-          facilityId: facility.id,
-          facilityName: facility.name
-        });
+    // A saved block that now overlaps another, say after an enlargement, moves to the next free space
+    for (const block of blocks.filter(b => b.position)) {
+      const x = Math.clamp(block.position.x, 0, columns - block.w);
+      const y = Math.max(0, block.position.y);
+      if (fits(x, y, block.w, block.h)) {
+        Object.assign(block, { x, y });
+        occupy(block);
+      } else {
+        place(block, y);
       }
     }
+    for (const block of blocks.filter(b => !b.position).sort((a, b) => b.squares - a.squares)) place(block);
+
+    const rows = blocks.reduce((max, b) => Math.max(max, b.y + b.h + 1), BastionDetail.FLOORPLAN_MIN_ROWS);
+    return {
+      columns,
+      rows,
+      cellSize: BastionDetail.FLOORPLAN_CELL_SIZE,
+      blocks
+    };
+  }
+
+  /**
+   * Prepare the construction queue across every member of the bastion
+   * @returns {Array}
+   */
+  _prepareConstructionContext() {
+    return this.members
+      .flatMap(actor => BastionOrders.prepareConstructionQueue(actor).map(job => ({
+        ...job,
+        ownerName: this.groupId ? actor.name : null
+      })))
+      .sort((a, b) => a.remainingDays - b.remainingDays);
+  }
 
-    return defenders;
+  /**
+   * Prepare defenders roster context
+   * @returns {Array}
+   */
+  _prepareDefendersContext() {
+    return this._prepareRosterContext('system.defenders');
   }
 
   /**
@@ -355,25 +664,94 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
    * @returns {Array}
    */
   _prepareHirelingsContext() {
-    const hirelings = [];
-    const facilities = this.actor?.itemTypes.facility || [];
+    return this._prepareRosterContext('system.hirelings');
+  }
+
+  /**
+   * Prepare trade creatures roster context
+   * @returns {Array}
+   */
+  _prepareCreaturesContext() {
+    return this._prepareRosterContext('system.trade.creatures');
+  }
+
+  /**
+   * Prepare a roster of everyone placed in one kind of occupant slot across the bastion
+   * @param {string} prop  The occupant property on the facility, e.g. system.defenders
+   * @returns {Array}
+   */
+  _prepareRosterContext(prop) {
+    const roster = [];
+    const facilities = this.facilityItems;
 
     for (const facility of facilities) {
-      const hirelingData = facility.system.hirelings;
-      if (!hirelingData?.value?.length) continue;
+      const occupantData = foundry.utils.getProperty(facility, prop);
+      if (!occupantData?.value?.length) continue;
 
-      for (let i = 0; i < hirelingData.value.length; i++) {
-        const uuid = hirelingData.value[i];
-        hirelings.push({
+      for (let i = 0; i < occupantData.value.length; i++) {
+        const uuid = occupantData.value[i];
+        const actor = fromUuidSync(uuid);
+        roster.push({
           uuid,
           index: i,
+          slot: i + 1,
+          prop,
           facilityId: facility.id,
-          facilityName: facility.name
+          facilityName: facility.name,
+          facilityImg: facility.img,
+          ownerName: this.groupId ? facility.actor.name : null,
+          name: actor?.name || game.i18n.localize('BASTION_MANAGER.Staff.Unknown'),
+          img: actor?.img || 'icons/svg/mystery-man.svg',
+          missing: !actor
         });
       }
     }
 
-    return hirelings;
+    return roster;
+  }
+
+  /**
+   * Prepare the staff tab context with totals for each roster
+   * @param {Object} context  The render context with defenders and hirelings prepared
+   * @returns {Object}
+   */
+  _prepareStaffContext(context) {
+    const creatures = this._prepareCreaturesContext();
+    const facilities = this.facilityItems;
+    const capacity = prop => facilities.reduce((total, f) => total + (foundry.utils.getProperty(f, `${prop}.max`) || 0), 0);
+
+    const groups = [
+      { key: 'defenders', icon: 'fa-solid fa-shield', label: 'DND5E.FACILITY.FIELDS.defenders.max.label', prop: 'system.defenders', entries: context.defenders },
+      { key: 'hirelings', icon: 'fa-solid fa-user', label: 'DND5E.FACILITY.FIELDS.hirelings.max.label', prop: 'system.hirelings', entries: context.hirelings },
+      { key: 'creatures', icon: 'fa-solid fa-horse-head', label: 'BASTION_MANAGER.Facilities.Creatures', prop: 'system.trade.creatures', entries: creatures }
+    ];
+    for (const group of groups) group.max = capacity(group.prop);
+
+    return {
+      groups,
+      total: groups.reduce((total, group) => total + group.entries.length, 0)
+    };
+  }
+
+  /**
+   * Prepare the chronicle entries, newest first. A combined bastion has one entry for each turn.
+   * @returns {Array}
+   */
+  _prepareChronicleContext() {
+    const entries = [...game.bastionManager.getChronicle(this.bastionId)];
+
+    // Turns taken before the members combined are in their own chronicles
+    if (this.groupId) {
+      entries.push(...this.members.flatMap(actor => {
+        return game.bastionManager.getChronicle(actor.id).map(entry => ({ ...entry, ownerName: actor.name }));
+      }));
+    }
+    return entries.sort((a, b) => a.timestamp - b.timestamp).map(entry => ({
+      ...entry,
+      date: new Date(entry.timestamp).toLocaleDateString(game.i18n.lang),
+      orders: entry.orders || [],
+      events: entry.events || []
+    })).reverse();
   }
 
   /* -------------------------------------------- */
@@ -385,6 +763,153 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     super._onRender(context, options);
     this._setupDragDrop();
     this._setupTabListeners();
+    this._setupOrderPickers();
+    this._setupFloorplan();
+  }
+
+  /**
+   * Let owners drag floorplan blocks around the grid
+   */
+  _setupFloorplan() {
+    const grid = this.element.querySelector('.floorplan-grid[data-editable]');
+    if (!grid) return;
+    for (const block of grid.querySelectorAll('.floorplan-block')) {
+      block.addEventListener('pointerdown', this._onFloorplanDragStart.bind(this));
+    }
+  }
+
+  /**
+   * Start dragging a floorplan block, snapping it to the grid as it moves
+   * @param {PointerEvent} event
+   */
+  _onFloorplanDragStart(event) {
+    if ((event.button !== 0) || event.target.closest('[data-action]')) return;
+    event.preventDefault();
+
+    const block = event.currentTarget;
+    const grid = block.closest('.floorplan-grid');
+    const cell = Number(grid.dataset.cellSize);
+    const columns = Number(grid.dataset.columns);
+    const { x, y, w, h } = Object.fromEntries(['x', 'y', 'w', 'h'].map(k => [k, Number(block.dataset[k])]));
+    const start = { clientX: event.clientX, clientY: event.clientY };
+    let position = { x, y };
+
+    block.setPointerCapture(event.pointerId);
+    block.classList.add('dragging');
+
+    const onMove = moveEvent => {
+      position = {
+        x: Math.clamp(x + Math.round((moveEvent.clientX - start.clientX) / cell), 0, columns - w),
+        y: Math.max(0, y + Math.round((moveEvent.clientY - start.clientY) / cell))
+      };
+      block.style.setProperty('--x', position.x);
+      block.style.setProperty('--y', position.y);
+      block.classList.toggle('blocked', this._floorplanOverlaps(grid, block, position));
+    };
+
+    const onEnd = async () => {
+      block.removeEventListener('pointermove', onMove);
+      block.removeEventListener('pointerup', onEnd);
+      block.removeEventListener('pointercancel', onEnd);
+      block.classList.remove('dragging', 'blocked');
+
+      // Blocks can't be dropped on top of each other
+      const moved = (position.x !== x) || (position.y !== y);
+      if (!moved || this._floorplanOverlaps(grid, block, position)) {
+        block.style.setProperty('--x', x);
+        block.style.setProperty('--y', y);
+        return;
+      }
+
+      block.dataset.x = position.x;
+      block.dataset.y = position.y;
+      await this._saveFloorplan(grid);
+    };
+
+    block.addEventListener('pointermove', onMove);
+    block.addEventListener('pointerup', onEnd);
+    block.addEventListener('pointercancel', onEnd);
+  }
+
+  /**
+   * Check whether a block would overlap any other block at a position
+   * @param {HTMLElement} grid
+   * @param {HTMLElement} block
+   * @param {{x: number, y: number}} position
+   * @returns {boolean}
+   */
+  _floorplanOverlaps(grid, block, { x, y }) {
+    const w = Number(block.dataset.w);
+    const h = Number(block.dataset.h);
+    return Array.from(grid.querySelectorAll('.floorplan-block')).some(other => {
+      if (other === block) return false;
+      const ox = Number(other.dataset.x);
+      const oy = Number(other.dataset.y);
+      return (x < ox + Number(other.dataset.w)) && (ox < x + w) && (y < oy + Number(other.dataset.h)) && (oy < y + h);
+    });
+  }
+
+  /**
+   * Save the position of every block, so facilities placed automatically stay where they are
+   * @param {HTMLElement} grid
+   */
+  async _saveFloorplan(grid) {
+    const floorplan = {};
+    for (const block of grid.querySelectorAll('.floorplan-block')) {
+      floorplan[block.dataset.facilityId] = { x: Number(block.dataset.x), y: Number(block.dataset.y) };
+    }
+    await game.bastionManager.setBastionData(this.bastionId, { floorplan });
+  }
+
+  /**
+   * Set up change listeners for facility order pickers
+   */
+  _setupOrderPickers() {
+    const pickers = this.element.querySelectorAll('select.order-picker');
+    for (const picker of pickers) {
+      picker.addEventListener('change', this._onChangeOrder.bind(this));
+    }
+  }
+
+  /**
+   * Handle picking a new order (or no order) for a facility
+   * @param {Event} event
+   */
+  async _onChangeOrder(event) {
+    const select = event.currentTarget;
+    const facilityId = select.closest('[data-facility-id]')?.dataset.facilityId;
+    const facility = this._getFacility(facilityId);
+    if (!this._can(facility?.actor, game.bastionManager.PERMISSION_LEVELS.ORDERS)) return;
+
+    const order = select.value;
+    const { order: current, value } = facility.system.progress;
+
+    // Confirm before throwing away progress on an order that's underway
+    if (current && value && current !== order) {
+      const currentLabel = game.i18n.localize(CONFIG.DND5E.facilities.orders[current]?.label || current);
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: {
+          title: game.i18n.localize('BASTION_MANAGER.Orders.ReplaceTitle'),
+          icon: 'fa-solid fa-clipboard-list'
+        },
+        content: `<p>${game.i18n.format('BASTION_MANAGER.Orders.ReplaceConfirm', { order: currentLabel, days: value })}</p>`,
+        rejectClose: false
+      });
+      if (!confirmed) {
+        select.value = current;
+        return;
+      }
+    }
+
+    // Crafting needs an item chosen and paid for before the order starts
+    if (order === 'craft') {
+      if (!(await BastionCrafting.promptCraft(facility))) select.value = current;
+      else this.render();
+      return;
+    }
+
+    await BastionOrders.issueOrder(facility, order);
+    this.render();
   }
 
   /**
@@ -424,6 +949,15 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
       zone.addEventListener('drop', this._onDropActor.bind(this));
     }
     
+    // Occupied slots can be dragged to another slot, or dropped on within their group to reorder it
+    const occupiedSlots = this.element.querySelectorAll('.occupant-slot[draggable="true"]');
+    for (const slot of occupiedSlots) {
+      slot.addEventListener('dragstart', this._onDragOccupant.bind(this));
+      slot.addEventListener('dragover', this._onDragOver.bind(this));
+      slot.addEventListener('dragleave', this._onDragLeave.bind(this));
+      slot.addEventListener('drop', this._onDropActor.bind(this));
+    }
+    
     // Drop zones for facilities (items)
     const facilitySlots = this.element.querySelectorAll('.facility-item.empty[data-facility-type]');
     for (const zone of facilitySlots) {
@@ -442,6 +976,26 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     event.currentTarget.classList.remove('drag-over');
   }
 
+  /**
+   * Start dragging an occupant out of their slot
+   * @param {DragEvent} event
+   */
+  _onDragOccupant(event) {
+    const slot = event.currentTarget;
+    const facilityId = slot.closest('[data-facility-id]')?.dataset.facilityId;
+    const prop = slot.dataset.prop;
+    const index = Number(slot.dataset.index);
+    const uuid = foundry.utils.getProperty(this._getFacility(facilityId) ?? {}, `${prop}.value`)?.[index];
+    if (!uuid) return;
+
+    // Dragged as an Actor, so the occupant can also be dropped on sheets and the canvas
+    event.dataTransfer.setData('text/plain', JSON.stringify({
+      type: 'Actor',
+      uuid,
+      bastionOccupant: { bastionId: this.bastionId, facilityId, prop, index }
+    }));
+  }
+
   /**
    * Handle dropping an actor onto an occupant slot
    */
@@ -453,13 +1007,16 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     if (!data || data.type !== 'Actor') return;
 
     const target = event.currentTarget;
+
+    // Occupants dragged from elsewhere in this bastion are moved rather than added again
+    if (data.bastionOccupant?.bastionId === this.bastionId) return this._onMoveOccupant(target, data.bastionOccupant);
     const facilityId = target.closest('[data-facility-id]')?.dataset.facilityId;
     const prop = target.dataset.prop;
 
     if (!facilityId || !prop) return;
 
-    const facility = this.actor?.items.get(facilityId);
-    if (!facility) return;
+    const facility = this._getFacility(facilityId);
+    if (!this._can(facility?.actor, game.bastionManager.PERMISSION_LEVELS.STAFF)) return;
 
     const { max, value } = foundry.utils.getProperty(facility, prop) || {};
     if ((value?.length || 0) >= (max || 0)) {
@@ -467,8 +1024,81 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
       return;
     }
 
-    const newValue = [...(value || []), data.uuid];
-    await facility.update({ [`${prop}.value`]: newValue });
+    const dropped = await fromUuid(data.uuid);
+    if (!(dropped instanceof Actor)) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.OccupantNotFound'));
+      return;
+    }
+
+    const problem = BastionOccupants.validate(this.bastionId, prop, dropped);
+    if (problem) {
+      ui.notifications.warn(problem);
+      return;
+    }
+
+    const occupant = await BastionOccupants.resolve(dropped);
+    if (!occupant) return;
+
+    const newValue = [...(value || []), occupant.uuid];
+    await BastionStorage.updateFacility(facility, { [`${prop}.value`]: newValue });
+    this.render();
+  }
+
+  /**
+   * Move an occupant to another slot in the bastion, or to a new position in their own group.
+   * Each facility involved is updated once.
+   * @param {HTMLElement} target  The slot the occupant was dropped on
+   * @param {{facilityId: string, prop: string, index: number}} source  Where the occupant came from
+   */
+  async _onMoveOccupant(target, source) {
+    const facility = this._getFacility(target.closest('[data-facility-id]')?.dataset.facilityId);
+    const prop = target.dataset.prop;
+    const sourceFacility = this._getFacility(source.facilityId);
+    if (!facility || !prop || !sourceFacility) return;
+
+    const { STAFF } = game.bastionManager.PERMISSION_LEVELS;
+    if (!this._can(facility.actor, STAFF) || !this._can(sourceFacility.actor, STAFF)) return;
+
+    const sourceList = [...(foundry.utils.getProperty(sourceFacility, `${source.prop}.value`) || [])];
+    const [uuid] = sourceList.splice(source.index, 1);
+    if (!uuid) return;
+    const index = Number(target.dataset.index);
+
+    // Reordering within a group
+    if ((facility === sourceFacility) && (prop === source.prop)) {
+      if (index === source.index) return;
+      sourceList.splice(Math.min(index, sourceList.length), 0, uuid);
+      await BastionStorage.updateFacility(facility, { [`${prop}.value`]: sourceList });
+      this.render();
+      return;
+    }
+
+    const { max, value } = foundry.utils.getProperty(facility, prop) || {};
+    if ((value?.length || 0) >= (max || 0)) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.SlotFull'));
+      return;
+    }
+
+    const occupant = await fromUuid(uuid);
+    const problem = occupant ? BastionOccupants.validate(this.bastionId, prop, occupant, { moving: true }) : null;
+    if (problem) {
+      ui.notifications.warn(problem);
+      return;
+    }
+
+    const targetList = [...(value || [])];
+    targetList.splice(Math.min(index, targetList.length), 0, uuid);
+
+    if (facility === sourceFacility) {
+      await BastionStorage.updateFacility(facility, {
+        [`${source.prop}.value`]: sourceList,
+        [`${prop}.value`]: targetList
+      });
+    } else {
+      // Only free the old slot once the occupant has its new one, so a refused change can't lose them
+      if (!(await BastionStorage.updateFacility(facility, { [`${prop}.value`]: targetList }))) return;
+      await BastionStorage.updateFacility(sourceFacility, { [`${source.prop}.value`]: sourceList });
+    }
     this.render();
   }
 
@@ -479,12 +1109,14 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     event.preventDefault();
     event.currentTarget.classList.remove('drag-over');
 
-    if (!this.actor?.isOwner && !game.user.isGM) return;
+    // In a combined bastion, the slot decides which member receives the facility
+    const target = event.currentTarget;
+    const actor = game.actors.get(target.dataset.actorId) ?? this.actor;
+    if (!this._canEdit(actor)) return;
 
     const data = TextEditor.getDragEventData(event);
     if (!data || data.type !== 'Item') return;
 
-    const target = event.currentTarget;
     const facilityType = target.dataset.facilityType;
     if (!facilityType) return;
 
@@ -511,10 +1143,10 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
       return;
     }
 
-    // Check level requirements
-    const actorLevel = this.actor.system.details?.level || 0;
+    // Check level requirements. Actors without levels aren't held to them.
+    const actorLevel = actor.system.details?.level || 0;
     const facilityLevel = item.system?.level || 0;
-    if (facilityLevel > actorLevel) {
+    if (game.bastionManager.usesLevelTable(actor) && (facilityLevel > actorLevel)) {
       ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Warnings.LevelTooLow', {
         required: facilityLevel,
         current: actorLevel
@@ -523,11 +1155,48 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     }
 
     // Create the facility on the actor
-    await this.actor.createEmbeddedDocuments('Item', [item.toObject()]);
-    ui.notifications.info(game.i18n.format('BASTION_MANAGER.Notifications.FacilityAdded', { name: item.name }));
+    const created = await this._createFacility(actor, item);
+    if (created) ui.notifications.info(game.i18n.format('BASTION_MANAGER.Notifications.FacilityAdded', { name: item.name }));
     this.render();
   }
 
+  /**
+   * Create a facility on an actor, putting it under construction when construction mode is on
+   * @param {Actor5e} actor  The member of the bastion receiving the facility
+   * @param {Item5e} item    The facility to copy onto the actor
+   * @returns {Promise<boolean>} Whether the facility was created
+   */
+  async _createFacility(actor, item) {
+    const itemData = item.toObject();
+
+    if (game.settings.get(MODULE_ID, 'constructionMode')) {
+      // Construction is paid for from the actor's own coins
+      if (!actor.isOwner) {
+        ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.ConstructionOwnerOnly'));
+        return false;
+      }
+
+      const cost = BastionOrders.getBuildCost(itemData);
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: {
+          title: game.i18n.localize('BASTION_MANAGER.Construction.Title'),
+          icon: 'fa-solid fa-trowel-bricks'
+        },
+        content: `<p>${game.i18n.format('BASTION_MANAGER.Construction.Confirm', {
+          name: item.name,
+          size: game.i18n.localize(CONFIG.DND5E.facilities.sizes[cost.size]?.label || cost.size),
+          gold: cost.gold,
+          days: cost.days
+        })}</p>`,
+        rejectClose: false
+      });
+      if (!confirmed) return false;
+      return BastionOrders.startConstruction(actor, itemData);
+    }
+
+    return BastionStorage.createFacility(actor, itemData);
+  }
+
   /**
    * Handle opening a facility item sheet
    * @param {PointerEvent} event
@@ -537,7 +1206,7 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     const facilityId = target.closest('[data-facility-id]')?.dataset.facilityId;
     if (!facilityId) return;
     
-    const facility = this.actor?.items.get(facilityId);
+    const facility = this._getFacility(facilityId);
     facility?.sheet?.render(true);
   }
 
@@ -551,7 +1220,7 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     const facilityId = target.closest('[data-facility-id]')?.dataset.facilityId;
     if (!facilityId) return;
     
-    const facility = this.actor?.items.get(facilityId);
+    const facility = this._getFacility(facilityId);
     if (!facility) return;
     
     // Open the sheet - let it determine editability based on user permissions
@@ -568,8 +1237,8 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     const facilityId = target.closest('[data-facility-id]')?.dataset.facilityId;
     if (!facilityId) return;
     
-    const facility = this.actor?.items.get(facilityId);
-    if (!facility) return;
+    const facility = this._getFacility(facilityId);
+    if (!this._canEdit(facility?.actor)) return;
     
     // Confirm deletion
     const confirmed = await foundry.applications.api.DialogV2.confirm({
@@ -589,12 +1258,50 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     });
     
     if (confirmed) {
-      await facility.delete();
+      await BastionStorage.deleteFacility(facility);
       ui.notifications.info(game.i18n.format('BASTION_MANAGER.Notifications.FacilityDeleted', { name: facility.name }));
       this.render();
     }
   }
 
+  /**
+   * Handle enlarging a facility to its next size
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onEnlargeFacility(event, target) {
+    event.stopPropagation();
+    const facilityId = target.closest('[data-facility-id]')?.dataset.facilityId;
+    const facility = this._getFacility(facilityId);
+    if (!this._isOwner(facility?.actor)) return;
+
+    const enlargement = BastionOrders.getEnlargement(facility);
+    if (!enlargement) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize('BASTION_MANAGER.Enlarge.Title'),
+        icon: 'fa-solid fa-up-right-and-down-left-from-center'
+      },
+      content: `<p>${game.i18n.format('BASTION_MANAGER.Enlarge.Confirm', {
+        name: facility.name,
+        size: enlargement.label,
+        gold: enlargement.gold,
+        days: enlargement.days
+      })}</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    if (await BastionOrders.enlarge(facility)) {
+      ui.notifications.info(game.i18n.format('BASTION_MANAGER.Notifications.EnlargeStarted', {
+        name: facility.name,
+        size: enlargement.label
+      }));
+    }
+    this.render();
+  }
+
   /**
    * Handle using a facility (triggering its activities)
    * @param {PointerEvent} event
@@ -604,8 +1311,8 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     const facilityId = target.closest('[data-facility-id]')?.dataset.facilityId;
     if (!facilityId) return;
     
-    const facility = this.actor?.items.get(facilityId);
-    if (!facility || facility.system.disabled) return;
+    const facility = this._getFacility(facilityId);
+    if (!facility || facility.system.disabled || !this._isOwner(facility.actor)) return;
     
     facility.use({ legacy: false, chooseActivity: true, event });
   }
@@ -617,7 +1324,8 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   static async #onAddFacility(event, target) {
     const facilityType = target.dataset.facilityType || 'basic';
-    if (!this.actor?.isOwner && !game.user.isGM) return;
+    const actor = game.actors.get(target.dataset.actorId) ?? this.actor;
+    if (!this._canEdit(actor)) return;
 
     const otherType = facilityType === 'basic' ? 'special' : 'basic';
 
@@ -627,7 +1335,7 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
           types: new Set(['facility']),
           additional: {
             type: { [facilityType]: 1, [otherType]: -1 },
-            level: { max: this.actor.system.details.level }
+            ...(game.bastionManager.usesLevelTable(actor) ? { level: { max: actor.system.details.level } } : {})
           }
         }
       }
@@ -636,12 +1344,54 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     if (result) {
       const item = await fromUuid(result);
       if (item) {
-        await this.actor.createEmbeddedDocuments('Item', [item.toObject()]);
+        await this._createFacility(actor, item);
         this.render();
       }
     }
   }
 
+  /**
+   * Handle recruiting new NPCs into a facility's empty hireling or defender slots
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onRecruit(event, target) {
+    event.stopPropagation();
+    const group = target.closest('[data-facility-id][data-prop]');
+    const facility = this._getFacility(group?.dataset.facilityId);
+    if (!this._can(facility?.actor, game.bastionManager.PERMISSION_LEVELS.STAFF)) return;
+
+    const recruits = await BastionOccupants.recruit(this.bastionId, facility, group.dataset.prop);
+    if (recruits.length) this.render();
+  }
+
+  /**
+   * Handle dismissing a facility's harvest result
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onAcknowledgeHarvest(event, target) {
+    event.stopPropagation();
+    const facility = this._getFacility(target.closest('[data-facility-id]')?.dataset.facilityId);
+    if (!this._can(facility?.actor, game.bastionManager.PERMISSION_LEVELS.ORDERS)) return;
+
+    await BastionHarvest.acknowledge(facility);
+    this.render();
+  }
+
+  /**
+   * Handle editing what a facility yields on a Harvest order (GM only)
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onConfigureHarvest(event, target) {
+    event.stopPropagation();
+    const facility = this._getFacility(target.closest('[data-facility-id]')?.dataset.facilityId);
+    if (!facility || !game.user.isGM) return;
+
+    await BastionHarvest.promptConfigure(facility);
+  }
+
   /**
    * Handle deleting an occupant from a facility
    * @param {PointerEvent} event
@@ -656,23 +1406,167 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     
     if (!facilityId || !prop || isNaN(index)) return;
     
-    const facility = this.actor?.items.get(facilityId);
-    if (!facility) return;
+    const facility = this._getFacility(facilityId);
+    if (!this._can(facility?.actor, game.bastionManager.PERMISSION_LEVELS.STAFF)) return;
 
     const currentValue = foundry.utils.getProperty(facility, `${prop}.value`) || [];
     const newValue = currentValue.filter((_, i) => i !== index);
     
-    await facility.update({ [`${prop}.value`]: newValue });
+    await BastionStorage.updateFacility(facility, { [`${prop}.value`]: newValue });
     this.render();
   }
 
   /**
-   * Handle opening the actor sheet
+   * Handle opening the sheet of the bastion's owner, or of one member of a combined bastion
    * @param {PointerEvent} event
    * @param {HTMLElement} target
    */
   static async #onOpenActor(event, target) {
-    this.actor?.sheet?.render(true);
+    const actorId = target.closest('[data-actor-id]')?.dataset.actorId;
+    const actor = actorId ? game.actors.get(actorId) : this.actor;
+    actor?.sheet?.render(true);
+  }
+
+  /**
+   * Handle depositing gold from the owning actor into the bastion treasury
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onDepositGold(event, target) {
+    const purse = this._getPurseActor();
+    if (!this._isOwner(purse)) return;
+
+    const gold = await this._promptGold('BASTION_MANAGER.Ledger.Deposit', 'BASTION_MANAGER.Ledger.DepositHint');
+    if (!gold) return;
+
+    await BastionTreasury.deposit(this.bastionId, purse, gold);
+    this.render();
+  }
+
+  /**
+   * Handle withdrawing gold from the bastion treasury to the owning actor
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onWithdrawGold(event, target) {
+    const purse = this._getPurseActor();
+    if (!this._isOwner(purse)) return;
+
+    const gold = await this._promptGold('BASTION_MANAGER.Ledger.Withdraw', 'BASTION_MANAGER.Ledger.WithdrawHint');
+    if (!gold) return;
+
+    await BastionTreasury.withdraw(this.bastionId, purse, gold);
+    this.render();
+  }
+
+  /**
+   * Ask for an amount of gold to move in or out of the treasury
+   * @param {string} title  Localization key for the dialog title
+   * @param {string} hint   Localization key for the dialog hint
+   * @returns {Promise<number|null>}
+   */
+  async _promptGold(title, hint) {
+    const content = `
+      <div class="bastion-settings-form">
+        <p class="hint">${game.i18n.localize(hint)}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize('BASTION_MANAGER.Ledger.Amount')}</label>
+          <input type="number" name="gold" min="1" step="1" value="" autofocus>
+        </div>
+      </div>
+    `;
+
+    const result = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize(title), icon: 'fa-solid fa-coins' },
+      content,
+      ok: {
+        label: game.i18n.localize(title),
+        callback: (event, button, dialog) => parseInt(button.form.elements.gold.value) || null
+      },
+      rejectClose: false
+    });
+
+    return result > 0 ? result : null;
+  }
+
+  /**
+   * Handle recording a manual income or expense entry in the ledger
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onAddLedgerEntry(event, target) {
+    if (!game.bastionManager.canEditBastion(this.bastionId)) return;
+
+    const categories = Object.entries(BastionTreasury.CATEGORIES)
+      .filter(([key]) => key !== 'transfer')
+      .map(([key, config]) => `<option value="${key}">${game.i18n.localize(config.label)}</option>`)
+      .join('');
+
+    const content = `
+      <div class="bastion-settings-form">
+        <div class="form-group-inline">
+          <div class="form-group">
+            <label>${game.i18n.localize('BASTION_MANAGER.Ledger.Type')}</label>
+            <select name="type">
+              <option value="income">${game.i18n.localize('BASTION_MANAGER.Ledger.Income')}</option>
+              <option value="expense">${game.i18n.localize('BASTION_MANAGER.Ledger.Expense')}</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>${game.i18n.localize('BASTION_MANAGER.Ledger.Category')}</label>
+            <select name="category">${categories}</select>
+          </div>
+          <div class="form-group">
+            <label>${game.i18n.localize('BASTION_MANAGER.Ledger.Amount')}</label>
+            <input type="number" name="gold" min="1" step="1" value="">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('BASTION_MANAGER.Ledger.Description')}</label>
+          <input type="text" name="description" value="">
+        </div>
+      </div>
+    `;
+
+    const entry = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Ledger.AddEntry'), icon: 'fa-solid fa-file-invoice-dollar' },
+      position: { width: 440 },
+      content,
+      ok: {
+        label: game.i18n.localize('BASTION_MANAGER.Ledger.AddEntry'),
+        callback: (event, button, dialog) => {
+          const form = button.form;
+          const gold = parseInt(form.elements.gold.value) || 0;
+          return {
+            amount: form.elements.type.value === 'expense' ? -gold : gold,
+            category: form.elements.category.value,
+            description: form.elements.description.value.trim()
+          };
+        }
+      },
+      rejectClose: false
+    });
+
+    if (!entry?.amount) return;
+    await BastionTreasury.record(this.bastionId, entry);
+    this.render();
+  }
+
+  /**
+   * Handle opening an occupant's actor sheet
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onOpenOccupant(event, target) {
+    const uuid = target.closest('[data-uuid]')?.dataset.uuid;
+    if (!uuid) return;
+
+    const actor = await fromUuid(uuid);
+    if (!actor) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.OccupantNotFound'));
+      return;
+    }
+    actor.sheet?.render(true);
   }
 
   /**
@@ -681,7 +1575,7 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} target
    */
   static async #onEditDescription(event, target) {
-    if (!this.actor?.isOwner && !game.user.isGM) return;
+    if (!this._isOwner(this.actor)) return;
 
     const currentDesc = this.actor.system.bastion?.description || '';
     
@@ -710,10 +1604,118 @@ export class BastionDetail extends HandlebarsApplicationMixin(ApplicationV2) {
     }
   }
 
+  /**
+   * Handle linking the bastion to a journal
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onLinkJournal(event, target) {
+    if (!game.bastionManager.canEditBastion(this.bastionId)) return;
+    if (await BastionJournal.promptLink(this.bastionId)) this.render();
+  }
+
+  /**
+   * Handle unlinking the bastion's journal, leaving the journal itself in place
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onUnlinkJournal(event, target) {
+    if (!game.bastionManager.canEditBastion(this.bastionId)) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Journal.Unlink') },
+      content: `<p>${game.i18n.localize('BASTION_MANAGER.Journal.UnlinkConfirm')}</p>`,
+      rejectClose: false
+    });
+    if (confirmed && await BastionJournal.unlink(this.bastionId)) this.render();
+  }
+
+  /**
+   * Handle adding pages for facilities that don't have one yet
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onSyncJournal(event, target) {
+    const created = await BastionJournal.sync(this.bastionId);
+    ui.notifications.info(game.i18n.format('BASTION_MANAGER.Journal.Synced', { count: created }));
+  }
+
+  /**
+   * Handle opening the linked journal, at a page if one was clicked
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onOpenJournal(event, target) {
+    const journal = BastionJournal.getJournal(this.bastionId);
+    if (!journal) return;
+    const pageId = target.closest('[data-page-id]')?.dataset.pageId;
+    journal.sheet.render(true, pageId ? { pageId } : {});
+  }
+
+  /**
+   * Handle editing one page of the linked journal
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onEditJournalPage(event, target) {
+    const pageId = target.closest('[data-page-id]')?.dataset.pageId;
+    const page = BastionJournal.getJournal(this.bastionId)?.pages.get(pageId);
+    if (page?.isOwner) page.sheet.render(true);
+  }
+
+  /**
+   * Handle exporting the bastion to a JSON file
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onExportBastion(event, target) {
+    if (!game.bastionManager.canEditBastion(this.bastionId)) return;
+    BastionTransfer.exportToFile(this.bastionId);
+  }
+
+  /**
+   * Handle importing a bastion file onto a member of this bastion
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onImportBastion(event, target) {
+    const actors = this.members.filter(a => this._isOwner(a));
+    if (await BastionTransfer.promptImport(actors)) {
+      this.render();
+      if (game.bastionManager.overview?.rendered) game.bastionManager.overview.render();
+    }
+  }
+
+  /**
+   * Handle posting the bastion's status report to chat
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onPostReport(event, target) {
+    await BastionReport.promptPost(this.bastionId);
+  }
+
+  /**
+   * Handle creating the bastion's scene, or updating it if one was already made (GM only)
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onCreateScene(event, target) {
+    if (!game.user.isGM) return;
+    const existing = BastionScene.getScene(this.bastionId);
+    const scene = await BastionScene.createOrUpdate(this.bastionId);
+    if (!scene) return;
+
+    const key = existing ? 'BASTION_MANAGER.Scene.Updated' : 'BASTION_MANAGER.Scene.Created';
+    ui.notifications.info(game.i18n.format(key, { name: scene.name }));
+    scene.view();
+    this.render();
+  }
+
   /** @override */
   _onClose(options) {
     super._onClose(options);
     // Clean up from the map
-    game.bastionManager?.detailApps?.delete(this.actorId);
+    game.bastionManager?.detailApps?.delete(this.bastionId);
   }
 }
@@ -0,0 +1,108 @@
+/**
+ * Bastion Events
+ * Rolls on the configured bastion events table and applies what can be automated
+ */
+
+import { BastionAttack } from './bastion-attack.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Bastion event rolls made during a bastion turn
+ */
+export class BastionEvents {
+
+  /**
+   * Events the module knows how to apply automatically, keyed by event id.
+   * A table result is matched by its `bastion-manager.event` flag, or failing that by its name.
+   * @type {Record<string, {names: string[], apply: Function}>}
+   */
+  static EVENTS = {
+    allIsWell: {
+      names: ['all is well'],
+      apply: async () => null
+    },
+    attack: {
+      names: ['attack', 'bastion attacked'],
+      apply: (actor) => BastionAttack.resolve(actor)
+    },
+    lostHirelings: {
+      names: ['lost hirelings'],
+      apply: (actor) => BastionEvents._applyLostHirelings(actor)
+    }
+  };
+
+  /**
+   * Get the RollTable configured for bastion events
+   * @returns {Promise<RollTable|null>}
+   */
+  static async getTable() {
+    const uuid = game.settings.get(MODULE_ID, 'eventsTable');
+    if (!uuid) return null;
+    const table = await fromUuid(uuid);
+    return table?.documentName === 'RollTable' ? table : null;
+  }
+
+  /**
+   * Roll a bastion event for an actor and apply its effects where possible
+   * @param {Actor5e} actor
+   * @returns {Promise<Array>} One entry per drawn result
+   */
+  static async roll(actor) {
+    const table = await BastionEvents.getTable();
+    if (!table) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Events.NoTable'));
+      return [];
+    }
+
+    const speaker = ChatMessage.getSpeaker({ actor });
+    const { roll, results } = await table.draw({ displayChat: true, messageData: { speaker } });
+
+    const events = [];
+    for (const result of results) {
+      const key = BastionEvents.identify(result);
+      const outcome = key ? await BastionEvents.EVENTS[key].apply(actor, result) : null;
+      events.push({
+        key,
+        name: result.name || result.text || '',
+        description: result.description || '',
+        img: result.img,
+        total: roll?.total ?? null,
+        automated: !!outcome,
+        outcome: outcome || null
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Work out which known event a table result represents
+   * @param {TableResult} result
+   * @returns {string|null}
+   */
+  static identify(result) {
+    const flagged = result.getFlag?.(MODULE_ID, 'event');
+    if (flagged && BastionEvents.EVENTS[flagged]) return flagged;
+
+    const name = (result.name || result.text || '').trim().toLowerCase();
+    const match = Object.entries(BastionEvents.EVENTS).find(([, config]) => config.names.includes(name));
+    return match?.[0] ?? null;
+  }
+
+  /**
+   * Lost Hirelings: one special facility loses all of its hirelings
+   * @param {Actor5e} actor
+   * @returns {Promise<string|null>} A description of what changed
+   */
+  static async _applyLostHirelings(actor) {
+    const staffed = (actor.itemTypes.facility || []).filter(f => {
+      return f.system.type.value === 'special' && f.system.hirelings?.value?.length;
+    });
+    if (!staffed.length) return null;
+
+    const facility = staffed[Math.floor(Math.random() * staffed.length)];
+    await facility.update({ 'system.hirelings.value': [] });
+    return game.i18n.format('BASTION_MANAGER.Events.LostHirelings', { facility: facility.name });
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Bastion Harvest
+ * Configures what each facility yields on a Harvest order and hands it over when the order completes
+ */
+
+import { BastionCrafting } from './bastion-crafting.mjs';
+import { BastionStorage } from './bastion-storage.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Harvest order helpers for facilities like the Garden, Greenhouse and Herbalist
+ */
+export class BastionHarvest {
+
+  /**
+   * Get the items a facility yields on a Harvest order
+   * @param {Item5e} facility
+   * @returns {Array<{uuid: string, quantity: number}>}
+   */
+  static getOutputs(facility) {
+    const outputs = game.settings.get(MODULE_ID, 'harvestOutputs') || {};
+    return outputs[facility.identifier] || [];
+  }
+
+  /**
+   * Set the items every facility with an identifier yields on a Harvest order (GM only)
+   * @param {string} identifier  The facility identifier, like "garden"
+   * @param {Array<{uuid: string, quantity: number}>} outputs
+   * @returns {Promise<boolean>} Whether the outputs were saved
+   */
+  static async setOutputs(identifier, outputs) {
+    if (!game.user.isGM || !identifier) return false;
+    const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'harvestOutputs') || {});
+    data[identifier] = outputs
+      .filter(o => o.uuid)
+      .map(o => ({ uuid: o.uuid, quantity: Math.max(1, parseInt(o.quantity) || 1) }));
+    await game.settings.set(MODULE_ID, 'harvestOutputs', data);
+    return true;
+  }
+
+  /**
+   * Get the result of a facility's last harvest that nobody has acknowledged yet
+   * @param {Item5e} facility
+   * @returns {{items: Array<{name: string, img: string, quantity: number}>}|null}
+   */
+  static getResult(facility) {
+    return facility.getFlag(MODULE_ID, 'harvest') || null;
+  }
+
+  /**
+   * Give an actor what its facilities yield for their completed Harvest orders, and leave the
+   * result on each facility until someone acknowledges it
+   * @param {Actor5e} actor
+   * @param {Item5e[]} facilities  Facilities whose Harvest order completed
+   * @returns {Promise<string[]>} The names of the items handed over
+   */
+  static async collect(actor, facilities) {
+    const harvested = [];
+    for (const facility of facilities) {
+      const items = [];
+      for (const { uuid, quantity } of BastionHarvest.getOutputs(facility)) {
+        const item = await fromUuid(uuid);
+        if (!item) continue;
+        await BastionCrafting.giveItem(actor, item, quantity);
+        items.push({ name: item.name, img: item.img, quantity });
+      }
+
+      if (!items.length) {
+        ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Harvest.NoOutputs', { facility: facility.name }));
+        continue;
+      }
+
+      await facility.setFlag(MODULE_ID, 'harvest', { items });
+      ui.notifications.info(game.i18n.format('BASTION_MANAGER.Harvest.Completed', {
+        facility: facility.name,
+        actor: actor.name,
+        items: items.map(i => `${i.quantity} × ${i.name}`).join(', ')
+      }));
+      harvested.push(...items.map(i => i.name));
+    }
+    return harvested;
+  }
+
+  /**
+   * Clear a facility's harvest result once someone has seen it
+   * @param {Item5e} facility
+   * @returns {Promise<boolean>}
+   */
+  static async acknowledge(facility) {
+    return BastionStorage.updateFacility(facility, { [`flags.${MODULE_ID}.harvest`]: null });
+  }
+
+  /**
+   * Let the GM edit what facilities like this one yield. Items can be dropped onto the dialog.
+   * @param {Item5e} facility
+   * @returns {Promise<boolean>} Whether the outputs were saved
+   */
+  static async promptConfigure(facility) {
+    if (!game.user.isGM) return false;
+
+    const row = ({ uuid = '', quantity = 1 } = {}) => `
+      <div class="form-group harvest-output">
+        <input type="text" name="uuid" value="${uuid}" placeholder="${game.i18n.localize('BASTION_MANAGER.Harvest.ItemUuid')}">
+        <input type="number" name="quantity" value="${quantity}" min="1" step="1">
+      </div>
+    `;
+    const rows = [...BastionHarvest.getOutputs(facility), {}].map(row).join('');
+
+    const outputs = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.format('BASTION_MANAGER.Harvest.Configure', { facility: facility.name }),
+        icon: 'fa-solid fa-wheat-awn'
+      },
+      position: { width: 420 },
+      content: `
+        <div class="bastion-settings-form harvest-outputs">
+          <p class="hint">${game.i18n.format('BASTION_MANAGER.Harvest.ConfigureHint', { identifier: facility.identifier })}</p>
+          <div class="harvest-rows">${rows}</div>
+        </div>
+      `,
+      ok: {
+        label: game.i18n.localize('Save'),
+        callback: (event, button, dialog) => {
+          return Array.from(button.form.querySelectorAll('.harvest-output'), el => ({
+            uuid: el.querySelector('[name="uuid"]').value.trim(),
+            quantity: el.querySelector('[name="quantity"]').value
+          }));
+        }
+      },
+      rejectClose: false,
+      render: (event, dialog) => {
+        const list = dialog.element.querySelector('.harvest-rows');
+        const form = list?.closest('.harvest-outputs');
+        if (!form) return;
+        form.addEventListener('dragover', dragEvent => dragEvent.preventDefault());
+        form.addEventListener('drop', dropEvent => {
+          const data = TextEditor.getDragEventData(dropEvent);
+          if (data?.type !== 'Item') return;
+          dropEvent.preventDefault();
+
+          // Fill the spare row, then add a new spare row below it
+          const spare = Array.from(list.querySelectorAll('[name="uuid"]')).find(input => !input.value);
+          if (spare) spare.value = data.uuid;
+          else list.insertAdjacentHTML('beforeend', row({ uuid: data.uuid }));
+          list.insertAdjacentHTML('beforeend', row());
+        });
+      }
+    });
+    if (!outputs) return false;
+
+    return BastionHarvest.setOutputs(facility.identifier, outputs);
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Bastion Journal
+ * Links a bastion to a JournalEntry with an overview page and a page for each facility
+ */
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Creates, syncs and renders the journal linked to a bastion
+ */
+export class BastionJournal {
+
+  /**
+   * Find the JournalEntry linked to a bastion
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {JournalEntry|null}
+   */
+  static getJournal(bastionId) {
+    const uuid = game.bastionManager.getBastionData(bastionId).journal;
+    if (!uuid) return null;
+    const journal = fromUuidSync(uuid);
+    return journal instanceof JournalEntry ? journal : null;
+  }
+
+  /**
+   * Find the bastion a facility belongs to
+   * @param {Item5e} facility
+   * @returns {string|null} The bastion ID
+   */
+  static _getBastionId(facility) {
+    const actor = facility.parent;
+    if (!actor) return null;
+    return game.bastionManager.getActorGroupId(actor.id) ?? actor.id;
+  }
+
+  /**
+   * Link a bastion to a journal, creating one if none is given, and give it the pages it's missing
+   * @param {string} bastionId          An actor ID, or the ID of a combined bastion
+   * @param {JournalEntry} [journal]    An existing journal to link
+   * @returns {Promise<JournalEntry|null>}
+   */
+  static async link(bastionId, journal) {
+    if (!game.bastionManager.canEditBastion(bastionId)) return null;
+    const members = game.bastionManager.getBastionMembers(bastionId);
+    if (!members.length) return null;
+
+    if (!journal) {
+      if (!JournalEntry.canUserCreate(game.user)) return null;
+
+      // Everyone who owns a member of the bastion may write its lore
+      const ownership = { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE };
+      for (const user of game.users) {
+        if (!user.isGM && members.some(a => a.testUserPermission(user, 'OWNER'))) {
+          ownership[user.id] = CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER;
+        }
+      }
+
+      const bastionData = game.bastionManager.getBastionData(bastionId);
+      const group = game.bastionManager.getBastionGroup(bastionId);
+      journal = await JournalEntry.create({
+        name: bastionData.name || group?.name || members[0].system.bastion?.name || `${members[0].name}'s Bastion`,
+        ownership,
+        flags: { [MODULE_ID]: { bastionId } }
+      });
+    }
+    if (!journal) return null;
+
+    // Lets edits to the journal's pages refresh the bastion's windows
+    if (journal.isOwner && (journal.getFlag(MODULE_ID, 'bastionId') !== bastionId)) {
+      await journal.setFlag(MODULE_ID, 'bastionId', bastionId);
+    }
+
+    const saved = await game.bastionManager.setBastionData(bastionId, { journal: journal.uuid });
+    if (!saved) return null;
+
+    await BastionJournal.sync(bastionId);
+    return journal;
+  }
+
+  /**
+   * Stop using a journal for a bastion. The journal itself is kept.
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Promise<boolean>}
+   */
+  static async unlink(bastionId) {
+    return game.bastionManager.setBastionData(bastionId, { journal: null });
+  }
+
+  /**
+   * Add an overview page and a page for each facility the linked journal doesn't have yet.
+   * Pages for facilities that have since been removed are kept, so nothing written in them is lost.
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Promise<number>} The number of pages created
+   */
+  static async sync(bastionId) {
+    const journal = BastionJournal.getJournal(bastionId);
+    if (!journal?.isOwner) return 0;
+
+    const members = game.bastionManager.getBastionMembers(bastionId);
+    const pages = [];
+
+    if (!journal.pages.some(p => p.getFlag(MODULE_ID, 'overview'))) {
+      pages.push({
+        name: game.i18n.localize('BASTION_MANAGER.Journal.Overview'),
+        type: 'text',
+        sort: 0,
+        text: { content: members.map(a => a.system.bastion?.description || '').filter(Boolean).join('') },
+        flags: { [MODULE_ID]: { overview: true } }
+      });
+    }
+
+    const linked = new Set(journal.pages.map(p => p.getFlag(MODULE_ID, 'facilityUuid')).filter(Boolean));
+    const facilities = members.flatMap(a => a.itemTypes.facility || []).filter(f => !linked.has(f.uuid));
+    pages.push(...facilities.map(f => BastionJournal._facilityPageData(f)));
+
+    if (!pages.length) return 0;
+    await journal.createEmbeddedDocuments('JournalEntryPage', pages);
+    return pages.length;
+  }
+
+  /**
+   * Build the page for a facility
+   * @param {Item5e} facility
+   * @returns {Object}
+   */
+  static _facilityPageData(facility) {
+    return {
+      name: facility.name,
+      type: 'text',
+      text: { content: facility.system.description?.value || '' },
+      flags: { [MODULE_ID]: { facilityUuid: facility.uuid } }
+    };
+  }
+
+  /**
+   * Give a newly built facility a page in its bastion's journal.
+   * The active GM does this, or the user who added the facility when no GM is online.
+   * @param {Item5e} item
+   * @param {string} userId  The user who created the item
+   */
+  static async onCreateFacility(item, userId) {
+    if ((item.type !== 'facility') || !item.parent) return;
+
+    const activeGM = game.users.activeGM;
+    if (activeGM ? !activeGM.isSelf : (userId !== game.user.id)) return;
+
+    const bastionId = BastionJournal._getBastionId(item);
+    const journal = bastionId ? BastionJournal.getJournal(bastionId) : null;
+    if (!journal?.isOwner) return;
+    if (journal.pages.some(p => p.getFlag(MODULE_ID, 'facilityUuid') === item.uuid)) return;
+
+    await journal.createEmbeddedDocuments('JournalEntryPage', [BastionJournal._facilityPageData(item)]);
+  }
+
+  /**
+   * Prepare the linked journal's pages for the Description tab
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Promise<Object|null>} Null when no journal is linked
+   */
+  static async prepareContext(bastionId) {
+    const journal = BastionJournal.getJournal(bastionId);
+    if (!journal) return null;
+
+    // The overview comes first, then facilities in journal order
+    const pages = journal.pages.contents
+      .filter(p => p.testUserPermission(game.user, 'OBSERVER'))
+      .sort((a, b) => {
+        const overview = Number(!!b.getFlag(MODULE_ID, 'overview')) - Number(!!a.getFlag(MODULE_ID, 'overview'));
+        return overview || (a.sort - b.sort);
+      });
+
+    const prepared = [];
+    for (const page of pages) {
+      const content = page.type === 'text'
+        ? await TextEditor.enrichHTML(page.text.content || '', {
+          secrets: page.isOwner,
+          relativeTo: page
+        })
+        : '';
+      prepared.push({
+        id: page.id,
+        uuid: page.uuid,
+        name: page.name,
+        isImage: page.type === 'image',
+        src: page.src,
+        content,
+        isOverview: !!page.getFlag(MODULE_ID, 'overview'),
+        isFacility: !!page.getFlag(MODULE_ID, 'facilityUuid'),
+        editable: page.isOwner
+      });
+    }
+
+    return {
+      uuid: journal.uuid,
+      name: journal.name,
+      editable: journal.isOwner,
+      pages: prepared
+    };
+  }
+
+  /**
+   * Ask which journal to link a bastion to, offering to create a new one
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Promise<JournalEntry|null>}
+   */
+  static async promptLink(bastionId) {
+    const canCreate = JournalEntry.canUserCreate(game.user);
+    const journals = game.journal.filter(j => j.isOwner);
+    if (!canCreate && !journals.length) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Journal.NoJournals'));
+      return null;
+    }
+
+    const options = [
+      canCreate ? `<option value="">${game.i18n.localize('BASTION_MANAGER.Journal.CreateNew')}</option>` : '',
+      ...journals.map(j => `<option value="${j.uuid}">${foundry.utils.escapeHTML(j.name)}</option>`)
+    ].join('');
+
+    const choice = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Journal.Link'), icon: 'fa-solid fa-book-open' },
+      position: { width: 400 },
+      content: `
+        <div class="bastion-settings-form">
+          <p class="hint">${game.i18n.localize('BASTION_MANAGER.Journal.LinkHint')}</p>
+          <div class="form-group">
+            <label>${game.i18n.localize('BASTION_MANAGER.Journal.Journal')}</label>
+            <select name="journal">${options}</select>
+          </div>
+        </div>
+      `,
+      ok: {
+        label: game.i18n.localize('BASTION_MANAGER.Journal.Link'),
+        callback: (event, button, dialog) => button.form.elements.journal.value
+      },
+      rejectClose: false
+    });
+    if ((choice === null) || (choice === undefined)) return null;
+
+    const journal = choice ? fromUuidSync(choice) : undefined;
+    if (journal === null) return null;
+    return BastionJournal.link(bastionId, journal);
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Bastion Migration
+ * Versioned migrations for stored bastion data, and clean-up of data left behind by deleted actors
+ */
+
+import { BastionStorage } from './bastion-storage.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Schema migrations and maintenance for the module's world data
+ */
+export class BastionMigration {
+
+  /**
+   * Migrations in the order they must run. Each brings stored data up to its schema version.
+   * @type {Array<{version: number, label: string, migrate: Function}>}
+   */
+  static MIGRATIONS = [
+    {
+      version: 1,
+      label: 'Move actor bastion data into actor flags',
+      migrate: () => BastionStorage.migrateWorldData()
+    },
+    {
+      version: 2,
+      label: 'Normalise overrides, visibility and enabled bastions',
+      migrate: () => BastionMigration._normaliseSettings()
+    },
+    {
+      version: 3,
+      label: 'Convert sharing to per-user permission levels',
+      migrate: () => BastionMigration._migrateSharing()
+    }
+  ];
+
+  /**
+   * World settings keyed by actor or combined bastion ID
+   * @type {string[]}
+   */
+  static KEYED_SETTINGS = ['bastionData', 'buildingOverrides', 'visibilitySettings', 'enabledBastions', 'chronicle', 'treasury'];
+
+  /**
+   * The schema version the current code expects
+   * @type {number}
+   */
+  static get SCHEMA_VERSION() {
+    return BastionMigration.MIGRATIONS.at(-1).version;
+  }
+
+  /**
+   * Run any outstanding migrations if the module has been updated since it last ran (GM only)
+   * @returns {Promise<boolean>} Whether migrations were attempted
+   */
+  static async migrateIfNeeded() {
+    if (!game.users.activeGM?.isSelf) return false;
+
+    const moduleVersion = game.modules.get(MODULE_ID)?.version ?? '0';
+    const schemaVersion = game.settings.get(MODULE_ID, 'schemaVersion') || 0;
+    const lastVersion = game.settings.get(MODULE_ID, 'moduleVersion');
+    if ((lastVersion === moduleVersion) && (schemaVersion >= BastionMigration.SCHEMA_VERSION)) return false;
+
+    for (const migration of BastionMigration.MIGRATIONS) {
+      if (migration.version <= schemaVersion) continue;
+      console.log(`${MODULE_ID} | Migrating data to schema ${migration.version}: ${migration.label}`);
+      try {
+        await migration.migrate();
+      } catch (err) {
+        // Stop here so the failed migration runs again next time rather than being skipped
+        console.error(`${MODULE_ID} | Migration to schema ${migration.version} failed`, err);
+        ui.notifications.error(game.i18n.format('BASTION_MANAGER.Migration.Failed', { version: migration.version }));
+        return true;
+      }
+      await game.settings.set(MODULE_ID, 'schemaVersion', migration.version);
+    }
+
+    await game.settings.set(MODULE_ID, 'moduleVersion', moduleVersion);
+    return true;
+  }
+
+  /**
+   * Schema 2: give every override, visibility and enabled entry a consistent shape
+   */
+  static async _normaliseSettings() {
+    const overrides = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'buildingOverrides') || {});
+    for (const [id, value] of Object.entries(overrides)) {
+      overrides[id] = { basic: Number(value?.basic) || 0, special: Number(value?.special) || 0 };
+    }
+    await game.settings.set(MODULE_ID, 'buildingOverrides', overrides);
+
+    const visibility = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'visibilitySettings') || {});
+    for (const [id, value] of Object.entries(visibility)) {
+      visibility[id] = { public: !!value?.public, users: Array.isArray(value?.users) ? value.users : [] };
+    }
+    await game.settings.set(MODULE_ID, 'visibilitySettings', visibility);
+
+    const enabled = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'enabledBastions') || {});
+    for (const [id, value] of Object.entries(enabled)) enabled[id] = value !== false;
+    await game.settings.set(MODULE_ID, 'enabledBastions', enabled);
+  }
+
+  /**
+   * Schema 3: replace the public flag and list of viewers with a sharing level for everyone and for each user
+   */
+  static async _migrateSharing() {
+    const visibility = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'visibilitySettings') || {});
+    for (const [id, value] of Object.entries(visibility)) visibility[id] = BastionMigration.normaliseVisibility(value);
+    await game.settings.set(MODULE_ID, 'visibilitySettings', visibility);
+
+    // Flags merge on update, so clear the old shape before writing the new one
+    const flag = BastionStorage.FLAGS.visibilitySettings;
+    for (const actor of game.actors) {
+      const value = actor.getFlag(MODULE_ID, flag);
+      if (value === undefined) continue;
+      await actor.unsetFlag(MODULE_ID, flag);
+      await actor.setFlag(MODULE_ID, flag, BastionMigration.normaliseVisibility(value));
+    }
+  }
+
+  /**
+   * Bring stored sharing settings into the current shape.
+   * Older data had a public flag and a list of users who could view the bastion.
+   * Users set to no access keep their entry, so saving over an actor flag clears their old level.
+   * @param {Object} [value]
+   * @returns {{default: number, users: Object<string, number>}}
+   */
+  static normaliseVisibility(value) {
+    const { NONE, VIEW, EDIT } = game.bastionManager.PERMISSION_LEVELS;
+    const level = n => Math.clamp(Number(n) || NONE, NONE, EDIT);
+
+    if (!value || (typeof value !== 'object')) return { default: NONE, users: {} };
+    if (!('default' in value)) {
+      const users = Array.isArray(value.users) ? value.users : [];
+      return {
+        default: value.public ? VIEW : NONE,
+        users: Object.fromEntries(users.map(id => [id, VIEW]))
+      };
+    }
+
+    const users = {};
+    for (const [id, n] of Object.entries(value.users || {})) users[id] = level(n);
+    return { default: level(value.default), users };
+  }
+
+  /* -------------------------------------------- */
+  /*  Maintenance                                 */
+  /* -------------------------------------------- */
+
+  /**
+   * Remove stored entries for actors that no longer exist (GM only).
+   * Deleted actors are also dropped from combined bastions, and groups left with fewer than two members are disbanded.
+   * @returns {Promise<Array<{setting: string, id: string, name: string}>>} The entries removed
+   */
+  static async purgeOrphans() {
+    if (!game.user.isGM) return [];
+    const removed = [];
+
+    // Tidy combined bastions first, so their IDs can be trusted below
+    const groups = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'bastionGroups') || {});
+    let groupsChanged = false;
+    for (const [groupId, group] of Object.entries(groups)) {
+      const members = (group.members || []).filter(id => game.actors.has(id));
+      if ((members.length === (group.members || []).length) && (members.length >= 2)) continue;
+      for (const id of group.members || []) {
+        if (!members.includes(id)) removed.push({ setting: 'bastionGroups', id, name: group.name });
+      }
+      if (members.length < 2) {
+        delete groups[groupId];
+        removed.push({ setting: 'bastionGroups', id: groupId, name: group.name });
+      } else {
+        group.members = members;
+      }
+      groupsChanged = true;
+    }
+    if (groupsChanged) await game.settings.set(MODULE_ID, 'bastionGroups', groups);
+
+    for (const setting of BastionMigration.KEYED_SETTINGS) {
+      const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, setting) || {});
+      let changed = false;
+      for (const id of Object.keys(data)) {
+        if (game.actors.has(id) || (id in groups)) continue;
+        removed.push({ setting, id, name: data[id]?.name ?? '' });
+        delete data[id];
+        changed = true;
+      }
+      if (changed) await game.settings.set(MODULE_ID, setting, data);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Run the clean-up and show what was removed (GM only)
+   * @returns {Promise<Array>}
+   */
+  static async runMaintenance() {
+    if (!game.user.isGM) return [];
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Migration.Maintenance'), icon: 'fa-solid fa-broom' },
+      content: `<p>${game.i18n.localize('BASTION_MANAGER.Migration.MaintenanceConfirm')}</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return [];
+
+    const removed = await BastionMigration.purgeOrphans();
+    const rows = removed.map(r => `
+      <li class="turn-change">
+        <span class="turn-facility">${foundry.utils.escapeHTML(r.name || r.id)}</span>
+        <span class="turn-order">${r.setting}</span>
+      </li>
+    `).join('');
+
+    await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Migration.Maintenance'), icon: 'fa-solid fa-broom' },
+      position: { width: 420 },
+      content: `
+        <div class="bastion-turn-summary">
+          <p class="hint">${game.i18n.format('BASTION_MANAGER.Migration.Removed', { count: removed.length })}</p>
+          ${rows ? `<ul class="turn-changes">${rows}</ul>` : ''}
+        </div>
+      `,
+      ok: { label: game.i18n.localize('Close') },
+      rejectClose: false
+    });
+
+    return removed;
+  }
+}
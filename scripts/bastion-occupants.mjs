@@ -0,0 +1,238 @@
+/**
+ * Bastion Occupants
+ * Rules for who may fill a facility's hireling, defender and creature slots
+ */
+
+import { BastionStorage } from './bastion-storage.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Validates and prepares actors placed in a facility's occupant slots
+ */
+export class BastionOccupants {
+
+  /**
+   * Occupant properties on a facility, each a list of actor UUIDs with a maximum
+   * @type {string[]}
+   */
+  static PROPS = ['system.hirelings', 'system.defenders', 'system.trade.creatures'];
+
+  /**
+   * What may be placed in each kind of slot. Creatures are limited by the world's size setting.
+   * @type {Record<string, {types?: string[], limitSize?: boolean}>}
+   */
+  static RULES = {
+    'system.hirelings': { types: ['npc'] },
+    'system.defenders': { types: ['npc'] },
+    'system.trade.creatures': { limitSize: true }
+  };
+
+  /**
+   * Occupant properties that can be filled by recruiting new NPCs
+   * @type {string[]}
+   */
+  static RECRUIT_PROPS = ['system.hirelings', 'system.defenders'];
+
+  /**
+   * Find where an actor already has a slot in a bastion
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {string} uuid       The occupant's UUID
+   * @returns {{facility: Item5e, prop: string}|null}
+   */
+  static findAssignment(bastionId, uuid) {
+    for (const actor of game.bastionManager.getBastionMembers(bastionId)) {
+      for (const facility of actor.itemTypes.facility || []) {
+        for (const prop of BastionOccupants.PROPS) {
+          if (foundry.utils.getProperty(facility, `${prop}.value`)?.includes(uuid)) return { facility, prop };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an actor may be placed in one of a facility's slots
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {string} prop       The occupant property being filled
+   * @param {Actor5e} actor     The actor being placed
+   * @param {Object} [options]
+   * @param {boolean} [options.moving=false]  Whether the actor is moving from another slot in the bastion
+   * @returns {string|null} A message explaining why not, or null if the actor may be placed
+   */
+  static validate(bastionId, prop, actor, { moving = false } = {}) {
+    const rule = BastionOccupants.RULES[prop];
+    if (!rule) return game.i18n.localize('BASTION_MANAGER.Occupants.UnknownSlot');
+
+    if (rule.types && !rule.types.includes(actor.type)) {
+      return game.i18n.format('BASTION_MANAGER.Occupants.WrongType', { name: actor.name });
+    }
+
+    if (rule.limitSize) {
+      const sizes = Object.keys(CONFIG.DND5E.actorSizes);
+      const maxSize = game.settings.get(MODULE_ID, 'creatureMaxSize');
+      const size = actor.system.traits?.size;
+      if (sizes.indexOf(size) > sizes.indexOf(maxSize)) {
+        return game.i18n.format('BASTION_MANAGER.Occupants.TooLarge', {
+          name: actor.name,
+          size: game.i18n.localize(CONFIG.DND5E.actorSizes[maxSize]?.label ?? maxSize)
+        });
+      }
+    }
+
+    // Actors from a compendium get a fresh copy in the world, so they can't already be placed
+    const assignment = (actor.pack || moving) ? null : BastionOccupants.findAssignment(bastionId, actor.uuid);
+    if (assignment) {
+      return game.i18n.format('BASTION_MANAGER.Occupants.AlreadyPlaced', {
+        name: actor.name,
+        facility: assignment.facility.name
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the world actor to place in a slot, importing it first if it was dropped from a compendium
+   * @param {Actor5e} actor
+   * @returns {Promise<Actor5e|null>}
+   */
+  static async resolve(actor) {
+    if (!actor.pack) return actor;
+    if (!Actor.canUserCreate(game.user)) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Occupants.CannotImport'));
+      return null;
+    }
+    return game.actors.importFromCompendium(game.packs.get(actor.pack), actor.id);
+  }
+
+  /* -------------------------------------------- */
+  /*  Recruiting                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the actor that recruits are copied from
+   * @returns {Promise<Actor5e|null>}
+   */
+  static async getRecruitTemplate() {
+    const uuid = game.settings.get(MODULE_ID, 'recruitTemplate');
+    if (!uuid) return null;
+    const actor = await fromUuid(uuid);
+    return actor?.documentName === 'Actor' ? actor : null;
+  }
+
+  /**
+   * Get the names recruits are given, from the comma or line separated list in the settings
+   * @returns {string[]}
+   */
+  static getRecruitNames() {
+    return game.settings.get(MODULE_ID, 'recruitNames')
+      .split(/[,\n]/)
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the folder a bastion's recruits are kept in, creating it if needed
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Promise<Folder|null>}
+   */
+  static async getRecruitFolder(bastionId) {
+    const existing = game.folders.find(f => (f.type === 'Actor') && (f.getFlag(MODULE_ID, 'recruitsFor') === bastionId));
+    if (existing) return existing;
+
+    const members = game.bastionManager.getBastionMembers(bastionId);
+    const bastionData = game.bastionManager.getBastionData(bastionId);
+    const group = game.bastionManager.getBastionGroup(bastionId);
+    const name = bastionData.name || group?.name || members[0]?.system.bastion?.name
+      || game.i18n.format('BASTION_MANAGER.Overview.DefaultName', { name: members[0]?.name ?? '' });
+
+    return Folder.implementation.create({
+      name: game.i18n.format('BASTION_MANAGER.Recruit.Folder', { name }),
+      type: 'Actor',
+      flags: { [MODULE_ID]: { recruitsFor: bastionId } }
+    });
+  }
+
+  /**
+   * Choose names for new recruits, preferring names from the list that nobody in the folder has yet.
+   * Once the list runs out, recruits are numbered after the template.
+   * @param {number} count
+   * @param {Actor5e} template
+   * @param {Folder} folder
+   * @returns {string[]}
+   */
+  static _pickNames(count, template, folder) {
+    const taken = new Set(folder.contents.map(a => a.name));
+    const unused = BastionOccupants.getRecruitNames().filter(name => !taken.has(name));
+
+    const names = [];
+    let number = folder.contents.length;
+    while (names.length < count) {
+      if (unused.length) {
+        const [name] = unused.splice(Math.floor(Math.random() * unused.length), 1);
+        names.push(name);
+        continue;
+      }
+      const name = `${template.name} ${++number}`;
+      if (!taken.has(name)) names.push(name);
+    }
+    return names;
+  }
+
+  /**
+   * Create NPCs from the recruit template and fill a facility's empty hireling or defender slots with them
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {Item5e} facility
+   * @param {string} prop       One of RECRUIT_PROPS
+   * @returns {Promise<Actor5e[]>} The recruits
+   */
+  static async recruit(bastionId, facility, prop) {
+    if (!BastionOccupants.RECRUIT_PROPS.includes(prop)) return [];
+
+    const { max, value } = foundry.utils.getProperty(facility, prop) || {};
+    const count = Math.max(0, (max || 0) - (value?.length || 0));
+    if (!count) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.SlotFull'));
+      return [];
+    }
+
+    if (!Actor.canUserCreate(game.user) || !Folder.canUserCreate(game.user)) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Recruit.CannotCreate'));
+      return [];
+    }
+
+    const template = await BastionOccupants.getRecruitTemplate();
+    if (template?.type !== 'npc') {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Recruit.NoTemplate'));
+      return [];
+    }
+
+    const folder = await BastionOccupants.getRecruitFolder(bastionId);
+    if (!folder) return [];
+
+    const source = game.actors.fromCompendium(template);
+    const recruits = await Actor.implementation.createDocuments(
+      BastionOccupants._pickNames(count, template, folder).map(name => foundry.utils.mergeObject(source, {
+        name,
+        folder: folder.id,
+        prototypeToken: { name }
+      }, { inplace: false }))
+    );
+
+    const placed = await BastionStorage.updateFacility(facility, {
+      [`${prop}.value`]: [...(value || []), ...recruits.map(a => a.uuid)]
+    });
+
+    // Recruits with nowhere to go would only clutter the actors directory
+    if (!placed) {
+      await Actor.implementation.deleteDocuments(recruits.map(a => a.id));
+      return [];
+    }
+    ui.notifications.info(game.i18n.format('BASTION_MANAGER.Recruit.Done', {
+      count: recruits.length,
+      facility: facility.name
+    }));
+    return recruits;
+  }
+}
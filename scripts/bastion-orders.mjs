@@ -0,0 +1,304 @@
+/**
+ * Bastion Orders
+ * Helpers for working out and issuing the orders a facility can take
+ */
+
+import { BastionTurn } from './bastion-turn.mjs';
+import { BastionTreasury } from './bastion-treasury.mjs';
+import { BastionStorage } from './bastion-storage.mjs';
+
+/**
+ * Facility order helpers shared by the bastion applications
+ */
+export class BastionOrders {
+
+  /**
+   * Gold and days needed to enlarge a facility, keyed by the size it grows into. From the Enlarging a
+   * Basic Facility table in the 2024 Dungeon Master's Guide (chapter 8, "Bastions"). Special facilities
+   * can only be enlarged where their description allows it, and are charged the same.
+   * @type {Record<string, {gold: number, days: number}>}
+   */
+  static ENLARGE_COSTS = {
+    roomy: { gold: 500, days: 25 },
+    vast: { gold: 2000, days: 80 }
+  };
+
+  /**
+   * Gold and days needed to build a new facility from scratch, keyed by its size
+   * @type {Record<string, {gold: number, days: number}>}
+   */
+  static BUILD_COSTS = {
+    cramped: { gold: 500, days: 20 },
+    roomy: { gold: 1000, days: 45 },
+    vast: { gold: 3000, days: 125 }
+  };
+
+  /**
+   * Orders that represent construction work rather than a facility's normal duties
+   * @type {string[]}
+   */
+  static CONSTRUCTION_ORDERS = ['build', 'enlarge'];
+
+  /**
+   * Get the orders a facility can currently be given
+   * @param {Item5e} facility
+   * @returns {string[]}
+   */
+  static getAvailableOrders(facility) {
+    const data = facility.system;
+    const orders = CONFIG.DND5E.facilities.orders;
+
+    // Facilities still being built can't take orders
+    if (data.progress?.order === 'build') return [];
+
+    // Disabled facilities can only be repaired
+    if (data.disabled) return orders.repair ? ['repair'] : [];
+
+    if (data.type.value !== 'special') return [];
+
+    const available = [];
+    if (data.order && orders[data.order]) available.push(data.order);
+    if (orders.maintain && !available.includes('maintain')) available.push('maintain');
+
+    return available.filter(order => !orders[order]?.hidden || order === data.order);
+  }
+
+  /**
+   * Number of days an order takes to complete in a facility
+   * @param {Item5e} facility
+   * @param {string} order
+   * @returns {number}
+   */
+  static getDuration(facility, order) {
+    const config = CONFIG.DND5E.facilities.orders[order] || {};
+    return config.duration || BastionTurn.getDuration();
+  }
+
+  /**
+   * Prepare the order options shown in a facility's order picker
+   * @param {Item5e} facility
+   * @returns {Array<{value: string, label: string, days: number, selected: boolean}>}
+   */
+  static prepareOrderOptions(facility) {
+    const current = facility.system.progress?.order;
+
+    // Construction is tracked in the construction queue rather than the picker
+    if (current === 'build') return [];
+
+    const options = BastionOrders.getAvailableOrders(facility).map(order => {
+      const config = CONFIG.DND5E.facilities.orders[order];
+      return {
+        value: order,
+        label: game.i18n.localize(config.label || order),
+        icon: config.icon,
+        days: BastionOrders.getDuration(facility, order),
+        selected: order === current
+      };
+    });
+
+    // Keep an order issued elsewhere visible even if it isn't normally offered
+    if (current && !options.some(o => o.value === current)) {
+      const config = CONFIG.DND5E.facilities.orders[current] || {};
+      options.unshift({
+        value: current,
+        label: game.i18n.localize(config.label || current),
+        icon: config.icon,
+        days: facility.system.progress.max || 0,
+        selected: true
+      });
+    }
+
+    return options;
+  }
+
+  /**
+   * Issue an order to a facility, replacing any current order.
+   * Users the bastion is shared with have the GM make the change for them.
+   * @param {Item5e} facility
+   * @param {string} order
+   * @returns {Promise<boolean>} Whether the order was issued
+   */
+  static async issueOrder(facility, order) {
+    if (!order) return BastionOrders.cancelOrder(facility);
+    const update = {
+      'system.progress': {
+        value: 0,
+        max: BastionOrders.getDuration(facility, order),
+        order
+      }
+    };
+
+    // Replacing a Craft order abandons the item being made
+    if (facility.system.progress?.order === 'craft') update['system.craft.item'] = null;
+
+    return BastionStorage.updateFacility(facility, update);
+  }
+
+  /**
+   * Cancel a facility's current order
+   * @param {Item5e} facility
+   * @returns {Promise<boolean>} Whether the order was cancelled
+   */
+  static async cancelOrder(facility) {
+    const update = { 'system.progress': { value: 0, max: null, order: '' } };
+
+    // An abandoned enlargement leaves the facility at its current size
+    if (facility.system.progress?.order === 'enlarge') {
+      update['system.building'] = { built: true, size: facility.system.size };
+    }
+    if (facility.system.progress?.order === 'craft') update['system.craft.item'] = null;
+
+    return BastionStorage.updateFacility(facility, update);
+  }
+
+  /* -------------------------------------------- */
+  /*  Enlargement                                 */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the size a facility would grow into if enlarged
+   * @param {Item5e} facility
+   * @returns {string|null}
+   */
+  static getNextSize(facility) {
+    const sizes = Object.entries(CONFIG.DND5E.facilities.sizes).sort(([, a], [, b]) => a.value - b.value);
+    const index = sizes.findIndex(([size]) => size === facility.system.size);
+    return sizes[index + 1]?.[0] ?? null;
+  }
+
+  /**
+   * Get the enlargement a facility could currently undertake
+   * @param {Item5e} facility
+   * @returns {{size: string, label: string, gold: number, days: number}|null}
+   */
+  static getEnlargement(facility) {
+    const data = facility.system;
+    if (data.disabled || data.progress?.order) return null;
+
+    // The system marks the special facilities whose descriptions allow enlarging them
+    if ((data.type.value === 'special') && !data.enlargeable) return null;
+
+    const size = BastionOrders.getNextSize(facility);
+    const cost = BastionOrders.ENLARGE_COSTS[size];
+    if (!size || !cost) return null;
+
+    return {
+      size,
+      label: game.i18n.localize(CONFIG.DND5E.facilities.sizes[size].label),
+      gold: cost.gold,
+      days: cost.days
+    };
+  }
+
+  /**
+   * Pay for and start enlarging a facility to its next size
+   * @param {Item5e} facility
+   * @returns {Promise<boolean>} Whether the enlargement was started
+   */
+  static async enlarge(facility) {
+    const enlargement = BastionOrders.getEnlargement(facility);
+    if (!enlargement) return false;
+
+    const actor = facility.actor;
+    const coins = foundry.utils.deepClone(actor.system.currency);
+    if (!(await BastionTreasury.spendGold(actor, enlargement.gold))) {
+      ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Warnings.NotEnoughGold', { gold: enlargement.gold }));
+      return false;
+    }
+
+    // Give the coins back if the enlargement couldn't be started. Foundry reports the error itself.
+    const started = await facility.update({
+      'system.building': { built: false, size: enlargement.size },
+      'system.progress': { value: 0, max: enlargement.days, order: 'enlarge' }
+    }).catch(() => null);
+    if (!started) {
+      await actor.update({ 'system.currency': coins });
+      return false;
+    }
+
+    await BastionTreasury.recordPurchase(actor, enlargement.gold,
+      game.i18n.format('BASTION_MANAGER.Ledger.Enlarged', { name: facility.name }));
+    return true;
+  }
+
+  /* -------------------------------------------- */
+  /*  Construction                                */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the cost of building a facility from its item data
+   * @param {Object} itemData  Facility item source data
+   * @returns {{size: string, gold: number, days: number}}
+   */
+  static getBuildCost(itemData) {
+    const size = itemData.system?.size || 'cramped';
+    const cost = BastionOrders.BUILD_COSTS[size] || BastionOrders.BUILD_COSTS.cramped;
+    return {
+      size,
+      gold: cost.gold,
+      days: CONFIG.DND5E.facilities.sizes[size]?.days || cost.days
+    };
+  }
+
+  /**
+   * Charge an actor for a new facility and create it under construction
+   * @param {Actor5e} actor
+   * @param {Object} itemData  Facility item source data, modified in place
+   * @returns {Promise<boolean>} Whether the facility was created
+   */
+  static async startConstruction(actor, itemData) {
+    const cost = BastionOrders.getBuildCost(itemData);
+    const coins = foundry.utils.deepClone(actor.system.currency);
+    if (!(await BastionTreasury.spendGold(actor, cost.gold))) {
+      ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Warnings.NotEnoughGold', { gold: cost.gold }));
+      return false;
+    }
+
+    foundry.utils.mergeObject(itemData, {
+      system: {
+        building: { built: false, size: cost.size },
+        progress: { value: 0, max: cost.days, order: 'build' }
+      }
+    });
+
+    // Give the coins back if the facility couldn't be created
+    if (!(await BastionStorage.createFacility(actor, itemData))) {
+      await actor.update({ 'system.currency': coins });
+      return false;
+    }
+
+    await BastionTreasury.recordPurchase(actor, cost.gold,
+      game.i18n.format('BASTION_MANAGER.Ledger.Built', { name: itemData.name }));
+    return true;
+  }
+
+  /**
+   * Prepare the construction queue for an actor's bastion
+   * @param {Actor5e} actor
+   * @returns {Array}
+   */
+  static prepareConstructionQueue(actor) {
+    const duration = BastionTurn.getDuration();
+    return (actor.itemTypes.facility || [])
+      .filter(f => BastionOrders.CONSTRUCTION_ORDERS.includes(f.system.progress?.order))
+      .map(f => {
+        const { value, max, order } = f.system.progress;
+        const remaining = Math.max(0, (max || 0) - (value || 0));
+        const size = f.system.building?.size || f.system.size;
+        return {
+          id: f.id,
+          name: f.name,
+          img: f.img,
+          order,
+          orderLabel: game.i18n.localize(CONFIG.DND5E.facilities.orders[order]?.label || order),
+          sizeLabel: game.i18n.localize(CONFIG.DND5E.facilities.sizes[size]?.label || size),
+          value: value || 0,
+          max,
+          pct: max ? Math.round(((value || 0) / max) * 100) : 0,
+          remainingDays: remaining,
+          remainingTurns: Math.ceil(remaining / duration)
+        };
+      })
+      .sort((a, b) => a.remainingDays - b.remainingDays);
+  }
+}
@@ -3,6 +3,9 @@
  * Shows all player bastions as clickable cards
  */
 
+import { BastionTurn } from './bastion-turn.mjs';
+import { BastionReport } from './bastion-report.mjs';
+
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 const MODULE_ID = 'bastion-manager';
@@ -33,9 +36,12 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
     },
     actions: {
       openBastion: BastionOverview.#onOpenBastion,
-      refreshBastions: BastionOverview.#onRefresh,
       openSettings: BastionOverview.#onOpenSettings,
-      manageBastions: BastionOverview.#onManageBastions
+      postReport: BastionOverview.#onPostReport,
+      manageBastions: BastionOverview.#onManageBastions,
+      manageGroups: BastionOverview.#onManageGroups,
+      runMaintenance: BastionOverview.#onRunMaintenance,
+      advanceTurn: BastionOverview.#onAdvanceTurn
     }
   };
 
@@ -43,10 +49,64 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
   static PARTS = {
     main: {
       template: 'modules/bastion-manager/templates/overview.hbs',
-      scrollable: ['.bastion-grid']
+      scrollable: ['.overview-sections']
     }
   };
 
+  /**
+   * Ways the overview's cards can be ordered
+   * @type {Record<string, {label: string, compare: Function}>}
+   */
+  static SORT_OPTIONS = {
+    name: {
+      label: 'BASTION_MANAGER.Overview.Sort.Name',
+      compare: (a, b) => a.bastionName.localeCompare(b.bastionName, game.i18n.lang)
+    },
+    level: {
+      label: 'BASTION_MANAGER.Overview.Sort.Level',
+      compare: (a, b) => b.level - a.level
+    },
+    facilities: {
+      label: 'BASTION_MANAGER.Overview.Sort.Facilities',
+      compare: (a, b) => b.totalFacilities - a.totalFacilities
+    },
+    orders: {
+      label: 'BASTION_MANAGER.Overview.Sort.Orders',
+      compare: (a, b) => b.pendingOrders - a.pendingOrders
+    }
+  };
+
+  /**
+   * The view used before a user has chosen one
+   * @type {{search: string, sort: string, groupByPlayer: boolean}}
+   */
+  static DEFAULT_VIEW = { search: '', sort: 'name', groupByPlayer: false };
+
+  /**
+   * How long to wait after typing before saving the search, in milliseconds
+   * @type {number}
+   */
+  static SEARCH_DELAY = 500;
+
+  /**
+   * Get the current user's search, sort and grouping choices
+   * @returns {{search: string, sort: string, groupByPlayer: boolean}}
+   */
+  static getView() {
+    const view = { ...BastionOverview.DEFAULT_VIEW, ...(game.user.getFlag(MODULE_ID, 'overviewView') || {}) };
+    if (!(view.sort in BastionOverview.SORT_OPTIONS)) view.sort = BastionOverview.DEFAULT_VIEW.sort;
+    return view;
+  }
+
+  /**
+   * Remember the current user's search, sort and grouping choices
+   * @param {Object} changes
+   * @returns {Promise}
+   */
+  static setView(changes) {
+    return game.user.setFlag(MODULE_ID, 'overviewView', { ...BastionOverview.getView(), ...changes });
+  }
+
   /* -------------------------------------------- */
   /*  Rendering                                   */
   /* -------------------------------------------- */
@@ -58,6 +118,9 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
     context.isGM = game.user.isGM;
     context.bastions = await this._prepareBastionsContext();
     context.hasBastions = context.bastions.length > 0;
+    context.view = BastionOverview.getView();
+    context.sortOptions = Object.fromEntries(Object.entries(BastionOverview.SORT_OPTIONS).map(([k, v]) => [k, v.label]));
+    context.sections = this._prepareSections(context.bastions, context.view);
     context.columnsPerRow = game.settings.get(MODULE_ID, 'columnsPerRow') || 2;
     context.cardHeight = game.settings.get(MODULE_ID, 'cardHeight') || 80;
     
@@ -94,27 +157,27 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
   async _prepareBastionsContext() {
     const bastions = [];
     
-    // Get all character actors that are claimed by players (not GM-only) and enabled
-    const characters = game.actors.filter(a => {
-      // Must be a character
-      if (a.type !== 'character') return false;
-      
-      // Must be claimed by at least one player (non-GM)
-      if (!this._isPlayerClaimed(a)) return false;
-      
-      // Must be enabled (or not explicitly disabled)
-      if (!game.bastionManager.isBastionEnabled(a.id)) return false;
-      
-      return true;
+    // Player characters, unless the GM removed them, and any other actor the GM has given a bastion
+    const actors = game.actors.filter(a => {
+      if (!game.bastionManager.canHoldFacilities(a)) return false;
+      return game.bastionManager.isBastionEnabled(a.id);
     });
     
-    for (const actor of characters) {
+    // Characters in a combined bastion are shown on their group's card instead
+    const groupIds = new Set();
+    for (const actor of actors) {
+      const groupId = game.bastionManager.getActorGroupId(actor.id);
+      if (groupId) {
+        groupIds.add(groupId);
+        continue;
+      }
+
       // Check if user can view this bastion
       if (!game.bastionManager.canViewBastion(actor.id)) continue;
       
       // Get custom bastion data
       const bastionData = game.bastionManager.getBastionData(actor.id);
-      const visibility = game.settings.get(MODULE_ID, 'visibilitySettings')?.[actor.id] || {};
+      const visibility = game.bastionManager.getVisibility(actor.id);
       
       // Count facilities
       const facilities = actor.itemTypes.facility || [];
@@ -122,22 +185,14 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
       const specialCount = facilities.filter(f => f.system.type.value === 'special').length;
       
       // Get building limits with overrides
-      const overrides = game.bastionManager.getBuildingOverrides(actor.id);
-      const level = actor.system.details?.level || 1;
-      const advancement = CONFIG.DND5E.facilities.advancement;
-      
-      let basicMax = 0, specialMax = 0;
-      for (const [type, config] of Object.entries(advancement)) {
-        const [, available] = Object.entries(config).reverse().find(([lvl]) => Number(lvl) <= level) || [];
-        if (type === 'basic') basicMax = (available || 0) + (overrides.basic || 0);
-        else specialMax = (available || 0) + (overrides.special || 0);
-      }
+      const limits = this._getSlotLimits(actor);
       
       // Determine if the current user owns this bastion
       const isOwner = actor.isOwner;
       const canEdit = isOwner || game.user.isGM;
       
       bastions.push({
+        bastionId: actor.id,
         actorId: actor.id,
         actorName: actor.name,
         actorImg: actor.img,
@@ -150,19 +205,120 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
         textOutline: bastionData.textOutline || false,
         isOwner,
         canEdit,
-        isPublic: visibility.public || false,
-        sharedWith: visibility.users?.length || 0,
+        isPublic: visibility.default >= game.bastionManager.PERMISSION_LEVELS.VIEW,
+        sharedWith: Object.values(visibility.users).filter(level => level >= game.bastionManager.PERMISSION_LEVELS.VIEW).length,
         basicCount,
-        basicMax,
+        basicMax: limits.basic,
         specialCount,
-        specialMax,
-        totalFacilities: facilities.length
+        specialMax: limits.special,
+        totalFacilities: facilities.length,
+        level: actor.system.details?.level || 0,
+        pendingOrders: facilities.filter(f => f.system.progress?.order).length,
+        players: this._getPlayerOwners([actor]),
+        treasury: game.bastionManager.getTreasury(actor.id).balance
       });
     }
+
+    for (const groupId of groupIds) {
+      if (!game.bastionManager.canViewBastion(groupId)) continue;
+      bastions.push(this._prepareGroupContext(groupId));
+    }
     
     return bastions;
   }
 
+  /**
+   * Get the number of basic and special facilities an actor may have, including GM overrides
+   * @param {Actor5e} actor
+   * @returns {{basic: number, special: number}}
+   */
+  _getSlotLimits(actor) {
+    return game.bastionManager.getSlotLimits(actor.id);
+  }
+
+  /**
+   * Prepare the card for a combined bastion, pooling every member's facilities
+   * @param {string} groupId
+   * @returns {Object}
+   */
+  _prepareGroupContext(groupId) {
+    const group = game.bastionManager.getBastionGroup(groupId);
+    const members = game.bastionManager.getBastionMembers(groupId);
+    const bastionData = game.bastionManager.getBastionData(groupId);
+    const visibility = game.bastionManager.getVisibility(groupId);
+    
+    const counts = { basicCount: 0, basicMax: 0, specialCount: 0, specialMax: 0, totalFacilities: 0, pendingOrders: 0 };
+    for (const actor of members) {
+      const facilities = actor.itemTypes.facility || [];
+      const limits = this._getSlotLimits(actor);
+      counts.basicCount += facilities.filter(f => f.system.type.value === 'basic').length;
+      counts.specialCount += facilities.filter(f => f.system.type.value === 'special').length;
+      counts.basicMax += limits.basic;
+      counts.specialMax += limits.special;
+      counts.totalFacilities += facilities.length;
+      counts.pendingOrders += facilities.filter(f => f.system.progress?.order).length;
+    }
+    
+    const isOwner = members.some(a => a.isOwner);
+    
+    return {
+      bastionId: groupId,
+      isGroup: true,
+      members: members.map(a => ({ id: a.id, name: a.name, img: a.img })),
+      bastionName: bastionData.name || group.name,
+      bastionImg: bastionData.image || 'icons/svg/tower.svg',
+      accentColor: bastionData.accentColor || '#2d2d2d',
+      fadeAmount: bastionData.fadeAmount ?? 70,
+      disableFade: bastionData.disableFade || false,
+      textColor: bastionData.textColor || '#ffffff',
+      textOutline: bastionData.textOutline || false,
+      isOwner,
+      canEdit: isOwner || game.user.isGM,
+      isPublic: visibility.default >= game.bastionManager.PERMISSION_LEVELS.VIEW,
+      sharedWith: Object.values(visibility.users).filter(level => level >= game.bastionManager.PERMISSION_LEVELS.VIEW).length,
+      ...counts,
+      level: Math.max(0, ...members.map(a => a.system.details?.level || 0)),
+      players: this._getPlayerOwners(members),
+      treasury: game.bastionManager.getTreasury(groupId).balance
+    };
+  }
+
+  /**
+   * Get the players who own any of the given actors
+   * @param {Actor5e[]} actors
+   * @returns {User[]}
+   */
+  _getPlayerOwners(actors) {
+    return game.users.filter(u => !u.isGM && actors.some(a => a.testUserPermission(u, 'OWNER')));
+  }
+
+  /**
+   * Sort the cards and split them into a section per player if the user has asked for that
+   * @param {Array} bastions  Cards from _prepareBastionsContext
+   * @param {{sort: string, groupByPlayer: boolean}} view
+   * @returns {Array<{label: string|null, bastions: Array}>}
+   */
+  _prepareSections(bastions, view) {
+    const { compare } = BastionOverview.SORT_OPTIONS[view.sort];
+    const byName = BastionOverview.SORT_OPTIONS.name.compare;
+    const sorted = bastions.toSorted((a, b) => compare(a, b) || byName(a, b));
+
+    for (const bastion of sorted) {
+      const names = [bastion.bastionName, bastion.actorName, ...(bastion.members || []).map(m => m.name)];
+      bastion.searchText = names.filter(Boolean).join(' ').toLocaleLowerCase(game.i18n.lang);
+    }
+    if (!view.groupByPlayer) return [{ label: null, bastions: sorted }];
+
+    // A bastion shared by several players gets a section for that set of players
+    const sections = new Map();
+    for (const bastion of sorted) {
+      const label = bastion.players.map(u => u.name).join(', ') || game.i18n.localize('BASTION_MANAGER.Overview.NoPlayer');
+      if (!sections.has(label)) sections.set(label, { label, bastions: [] });
+      sections.get(label).bastions.push(bastion);
+    }
+    return Array.from(sections.values()).sort((a, b) => a.label.localeCompare(b.label, game.i18n.lang));
+  }
+
   /* -------------------------------------------- */
   /*  Event Handlers                              */
   /* -------------------------------------------- */
@@ -170,6 +326,47 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
   /** @override */
   _onRender(context, options) {
     super._onRender(context, options);
+
+    const search = this.element.querySelector('.overview-toolbar [name="search"]');
+    if (search) {
+      const save = foundry.utils.debounce(value => BastionOverview.setView({ search: value }), BastionOverview.SEARCH_DELAY);
+      search.addEventListener('input', event => {
+        this._applySearch(event.target.value);
+        save(event.target.value);
+      });
+      this._applySearch(search.value);
+    }
+
+    this.element.querySelector('.overview-toolbar [name="sort"]')?.addEventListener('change', async event => {
+      await BastionOverview.setView({ sort: event.target.value });
+      this.render();
+    });
+
+    this.element.querySelector('.overview-toolbar [name="groupByPlayer"]')?.addEventListener('change', async event => {
+      await BastionOverview.setView({ groupByPlayer: event.target.checked });
+      this.render();
+    });
+  }
+
+  /**
+   * Hide the cards, and any sections left empty, that don't match a search
+   * @param {string} query
+   */
+  _applySearch(query) {
+    const terms = query.trim().toLocaleLowerCase(game.i18n.lang).split(/\s+/).filter(Boolean);
+    let shown = 0;
+    for (const section of this.element.querySelectorAll('.overview-section')) {
+      let visible = 0;
+      for (const card of section.querySelectorAll('.bastion-card')) {
+        const match = terms.every(t => card.dataset.search.includes(t));
+        card.hidden = !match;
+        if (match) visible++;
+      }
+      section.hidden = !visible;
+      shown += visible;
+    }
+    const empty = this.element.querySelector('.no-matches');
+    if (empty) empty.hidden = !!shown;
   }
 
   /**
@@ -181,30 +378,42 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
     event.preventDefault();
     event.stopPropagation();
     
-    const actorId = target.dataset.actorId;
-    if (!actorId) return;
+    const bastionId = target.dataset.bastionId;
+    if (!bastionId) return;
     
-    const actor = game.actors.get(actorId);
-    if (!actor) return;
-    
-    const canEdit = actor.isOwner || game.user.isGM;
-    if (!canEdit) return;
+    if (!game.bastionManager.canEditBastion(bastionId)) return;
     
     // Show settings dialog - 'this' is bound to the app instance in AppV2 actions
-    await this._showSettingsDialog(actorId);
+    await this._showSettingsDialog(bastionId);
+  }
+
+  /**
+   * Handle posting a bastion's status report to chat
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onPostReport(event, target) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const bastionId = target.dataset.bastionId;
+    if (bastionId) await BastionReport.promptPost(bastionId);
   }
 
   /**
    * Show settings dialog for a bastion
-   * @param {string} actorId 
+   * @param {string} actorId  An actor ID, or the ID of a combined bastion group
    */
   async _showSettingsDialog(actorId) {
+    const group = game.bastionManager.getBastionGroup(actorId);
     const actor = game.actors.get(actorId);
-    if (!actor) return;
+    if (!actor && !group) return;
+    const ownerName = group ? group.name : actor.name;
     
     const bastionData = game.bastionManager.getBastionData(actorId);
-    const visibility = game.settings.get(MODULE_ID, 'visibilitySettings')?.[actorId] || {};
+    const visibility = game.bastionManager.getVisibility(actorId);
     const overrides = game.bastionManager.getBuildingOverrides(actorId);
+    const levelBased = !actor || game.bastionManager.usesLevelTable(actor);
     const players = game.users.filter(u => !u.isGM);
     
     const currentColor = bastionData.accentColor || '#2d2d2d';
@@ -213,10 +422,15 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
     const disableFade = bastionData.disableFade || false;
     const textOutline = bastionData.textOutline || false;
     
-    const playerCheckboxes = players.map(p => {
-      const checked = visibility.users?.includes(p.id) ? 'checked' : '';
-      return `<label class="checkbox"><input type="checkbox" name="user-${p.id}" ${checked}> ${p.name}</label>`;
+    const levelOptions = selected => Object.entries(game.bastionManager.PERMISSION_LEVELS).map(([key, level]) => {
+      return `<option value="${level}" ${level === selected ? 'selected' : ''}>${game.i18n.localize(`BASTION_MANAGER.Visibility.Levels.${key}`)}</option>`;
     }).join('');
+    const playerLevels = players.map(p => `
+      <div class="form-group">
+        <label>${p.name}</label>
+        <select name="user-${p.id}">${levelOptions(visibility.users[p.id] || 0)}</select>
+      </div>
+    `).join('');
 
     const content = `
       <div class="bastion-settings-form">
@@ -225,7 +439,7 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
           
           <div class="form-group">
             <label>${game.i18n.localize('BASTION_MANAGER.Dialog.BastionName')}</label>
-            <input type="text" name="bastionName" value="${bastionData.name || ''}" placeholder="${actor.name}'s Bastion">
+            <input type="text" name="bastionName" value="${bastionData.name || ''}" placeholder="${group ? group.name : `${actor.name}'s Bastion`}">
           </div>
           
           <div class="form-group">
@@ -290,33 +504,29 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
         <fieldset>
           <legend><i class="fas fa-eye"></i> ${game.i18n.localize('BASTION_MANAGER.ContextMenu.Visibility')}</legend>
           
+          <p class="hint" style="margin-top:0">${game.i18n.localize('BASTION_MANAGER.Visibility.LevelsHint')}</p>
           <div class="form-group">
-            <label class="checkbox">
-              <input type="checkbox" name="public" ${visibility.public ? 'checked' : ''}>
-              ${game.i18n.localize('BASTION_MANAGER.Visibility.Public')}
-            </label>
-            <p class="hint">${game.i18n.localize('BASTION_MANAGER.Visibility.PublicHint')}</p>
+            <label>${game.i18n.localize('BASTION_MANAGER.Visibility.Everyone')}</label>
+            <select name="defaultLevel">${levelOptions(visibility.default)}</select>
           </div>
           
           ${players.length ? `
-          <div class="form-group">
-            <label>${game.i18n.localize('BASTION_MANAGER.Visibility.ShareWith')}</label>
-            <div class="player-checkboxes">${playerCheckboxes}</div>
-          </div>
+          <label>${game.i18n.localize('BASTION_MANAGER.Visibility.ShareWith')}</label>
+          <div class="player-levels">${playerLevels}</div>
           ` : ''}
         </fieldset>
         
-        ${game.user.isGM ? `
+        ${game.user.isGM && !group ? `
         <fieldset>
-          <legend><i class="fas fa-tools"></i> ${game.i18n.localize('BASTION_MANAGER.ContextMenu.BuildingOverrides')}</legend>
-          <p class="hint" style="margin-top:0">${game.i18n.localize('BASTION_MANAGER.BuildingOverrides.Description')}</p>
+          <legend><i class="fas fa-tools"></i> ${game.i18n.localize(levelBased ? 'BASTION_MANAGER.ContextMenu.BuildingOverrides' : 'BASTION_MANAGER.BuildingOverrides.Slots')}</legend>
+          <p class="hint" style="margin-top:0">${game.i18n.localize(levelBased ? 'BASTION_MANAGER.BuildingOverrides.Description' : 'BASTION_MANAGER.BuildingOverrides.SlotsDescription')}</p>
           <div class="form-group-inline">
             <div class="form-group">
-              <label>${game.i18n.localize('BASTION_MANAGER.BuildingOverrides.ExtraBasic')}</label>
+              <label>${game.i18n.localize(levelBased ? 'BASTION_MANAGER.BuildingOverrides.ExtraBasic' : 'DND5E.FACILITY.Types.Basic.Label.other')}</label>
               <input type="number" name="overrideBasic" value="${overrides.basic || 0}" min="0" max="20">
             </div>
             <div class="form-group">
-              <label>${game.i18n.localize('BASTION_MANAGER.BuildingOverrides.ExtraSpecial')}</label>
+              <label>${game.i18n.localize(levelBased ? 'BASTION_MANAGER.BuildingOverrides.ExtraSpecial' : 'DND5E.FACILITY.Types.Special.Label.other')}</label>
               <input type="number" name="overrideSpecial" value="${overrides.special || 0}" min="0" max="20">
             </div>
           </div>
@@ -330,7 +540,7 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
 
     const dialog = await foundry.applications.api.DialogV2.prompt({
       window: { 
-        title: `${game.i18n.localize('BASTION_MANAGER.ContextMenu.Settings')}: ${actor.name}`,
+        title: `${game.i18n.localize('BASTION_MANAGER.ContextMenu.Settings')}: ${ownerName}`,
         icon: 'fa-solid fa-cog'
       },
       position: {
@@ -355,14 +565,15 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
           await game.bastionManager.setBastionData(actorId, newBastionData);
           
           // Save visibility
-          const isPublic = form.elements.public?.checked || false;
-          const sharedUsers = players
-            .filter(p => form.elements[`user-${p.id}`]?.checked)
-            .map(p => p.id);
-          await game.bastionManager.setVisibility(actorId, { public: isPublic, users: sharedUsers });
+          // Every player is saved, including those with no access, so lowering a level sticks
+          const users = Object.fromEntries(players.map(p => [p.id, parseInt(form.elements[`user-${p.id}`]?.value) || 0]));
+          await game.bastionManager.setVisibility(actorId, {
+            default: parseInt(form.elements.defaultLevel?.value) || 0,
+            users
+          });
           
-          // Save overrides (GM only)
-          if (game.user.isGM) {
+          // Save overrides (GM only). A combined bastion uses each member's own overrides.
+          if (game.user.isGM && !group) {
             const overrideBasic = parseInt(form.elements.overrideBasic?.value) || 0;
             const overrideSpecial = parseInt(form.elements.overrideSpecial?.value) || 0;
             await game.bastionManager.setBuildingOverrides(actorId, { basic: overrideBasic, special: overrideSpecial });
@@ -502,25 +713,44 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} target
    */
   static async #onOpenBastion(event, target) {
-    const actorId = target.closest('[data-actor-id]')?.dataset.actorId;
-    if (!actorId) return;
+    const bastionId = target.closest('[data-bastion-id]')?.dataset.bastionId;
+    if (!bastionId) return;
     
     // Check if user can view this bastion
-    if (!game.bastionManager.canViewBastion(actorId)) {
+    if (!game.bastionManager.canViewBastion(bastionId)) {
       ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.NoPermission'));
       return;
     }
     
-    game.bastionManager.openDetail(actorId);
+    game.bastionManager.openDetail(bastionId);
   }
 
   /**
-   * Handle refresh button
+   * Handle advance bastion turn button (GM only)
+   * Runs a bastion turn for every enabled bastion and shows a summary
    * @param {PointerEvent} event
    * @param {HTMLElement} target
    */
-  static async #onRefresh(event, target) {
+  static async #onAdvanceTurn(event, target) {
+    if (!game.user.isGM) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize('BASTION_MANAGER.Turn.Advance'),
+        icon: 'fa-solid fa-hourglass-half'
+      },
+      content: `<p>${game.i18n.format('BASTION_MANAGER.Turn.AdvanceConfirm', { days: BastionTurn.getDuration() })}</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    const results = await BastionTurn.advanceAll();
     this.render();
+    for (const app of game.bastionManager.detailApps.values()) {
+      if (app.rendered) app.render();
+    }
+
+    await BastionTurn.showSummary(results);
   }
 
   /**
@@ -547,30 +777,64 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
       return false;
     });
     
-    // Build the list of characters with their enabled state
-    const characterItems = allCharacters.map(actor => {
-      const enabled = game.bastionManager.isBastionEnabled(actor.id);
-      const owner = game.users.find(u => !u.isGM && actor.isOwner);
-      return `
+    // Other actors the GM has already given a bastion, and those that could have one
+    const enabled = game.settings.get(MODULE_ID, 'enabledBastions') || {};
+    const isCharacter = new Set(allCharacters.map(a => a.id));
+    const otherActors = game.actors.filter(a => !isCharacter.has(a.id) && (enabled[a.id] === true));
+
+    // Offering every NPC would bury the few that matter, so only list actors likely to run a bastion
+    const candidates = game.actors.filter(a => {
+      if (isCharacter.has(a.id) || (enabled[a.id] === true) || !game.bastionManager.canHoldFacilities(a)) return false;
+      return !!a.itemTypes.facility?.length || ['character', 'group'].includes(a.type) || this._isPlayerClaimed(a);
+    });
+    
+    const escape = foundry.utils.escapeHTML;
+    const actorItem = (actor, subtitle, checked) => `
         <li class="character-item" data-actor-id="${actor.id}">
-          <img src="${actor.img}" alt="${actor.name}">
+          <img src="${actor.img}" alt="${escape(actor.name)}">
           <div class="character-info">
-            <span class="character-name">${actor.name}</span>
-            <span class="character-owner">${owner?.name || 'Unknown'}</span>
+            <span class="character-name">${escape(actor.name)}</span>
+            <span class="character-owner">${escape(subtitle)}</span>
           </div>
           <label class="checkbox">
-            <input type="checkbox" name="actor-${actor.id}" ${enabled ? 'checked' : ''}>
+            <input type="checkbox" name="actor-${actor.id}" ${checked ? 'checked' : ''}>
           </label>
         </li>
       `;
+    
+    // Build the list of characters with their enabled state
+    const characterItems = allCharacters.map(actor => {
+      const owner = game.users.find(u => !u.isGM && actor.isOwner);
+      return actorItem(actor, owner?.name || 'Unknown', game.bastionManager.isBastionEnabled(actor.id));
     }).join('');
     
+    const otherItems = otherActors.map(actor => {
+      return actorItem(actor, game.i18n.localize(CONFIG.Actor.typeLabels[actor.type] ?? actor.type), true);
+    }).join('');
+    
+    const candidateOptions = candidates
+      .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang))
+      .map(a => `<option value="${a.id}">${escape(a.name)} (${game.i18n.localize(CONFIG.Actor.typeLabels[a.type] ?? a.type)})</option>`)
+      .join('');
+    
     const content = `
       <div class="bastion-manage-form">
         <p class="hint">${game.i18n.localize('BASTION_MANAGER.Dialog.ManageBastionsHint')}</p>
         <ul class="character-list">
           ${characterItems || `<li class="no-characters">${game.i18n.localize('BASTION_MANAGER.Overview.NoCharacters')}</li>`}
         </ul>
+        <h4>${game.i18n.localize('BASTION_MANAGER.Dialog.OtherBastions')}</h4>
+        <p class="hint">${game.i18n.localize('BASTION_MANAGER.Dialog.OtherBastionsHint')}</p>
+        ${otherItems ? `<ul class="character-list">${otherItems}</ul>` : ''}
+        ${candidateOptions ? `
+        <div class="form-group">
+          <label>${game.i18n.localize('BASTION_MANAGER.Dialog.AddBastion')}</label>
+          <select name="addActor">
+            <option value=""></option>
+            ${candidateOptions}
+          </select>
+        </div>
+        ` : ''}
       </div>
     `;
     
@@ -587,13 +851,20 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
         label: game.i18n.localize('Save'),
         callback: async (event, button, dialog) => {
           const form = button.form;
-          const enabledBastions = {};
+          const enabledBastions = foundry.utils.deepClone(enabled);
           
           for (const actor of allCharacters) {
             const checkbox = form.elements[`actor-${actor.id}`];
             enabledBastions[actor.id] = checkbox?.checked || false;
           }
           
+          // Other actors only keep an entry while they have a bastion
+          for (const actor of otherActors) {
+            if (!form.elements[`actor-${actor.id}`]?.checked) delete enabledBastions[actor.id];
+          }
+          const added = form.elements.addActor?.value;
+          if (added) enabledBastions[added] = true;
+          
           await game.settings.set(MODULE_ID, 'enabledBastions', enabledBastions);
           return true;
         }
@@ -603,4 +874,132 @@ export class BastionOverview extends HandlebarsApplicationMixin(ApplicationV2) {
     
     this.render();
   }
+
+  /**
+   * Handle maintenance button (GM only)
+   * Removes data left behind by deleted actors and reports what was removed
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onRunMaintenance(event, target) {
+    if (!game.user.isGM) return;
+    await game.bastionManager.cleanUp();
+  }
+
+  /**
+   * Handle manage combined bastions button (GM only)
+   * Shows dialog to group characters into shared party bastions
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async #onManageGroups(event, target) {
+    if (!game.user.isGM) return;
+    
+    const groups = game.bastionManager.getBastionGroups();
+
+    // Player characters, and any other actor the GM has given a bastion
+    const characters = game.actors.filter(a => {
+      if ((a.type === 'character') && this._isPlayerClaimed(a)) return true;
+      return game.bastionManager.canHoldFacilities(a) && game.bastionManager.isBastionEnabled(a.id);
+    });
+    
+    const groupRows = Object.entries(groups).map(([id, group]) => `
+      <li class="group-item">
+        <input type="text" name="group-${id}" value="${foundry.utils.escapeHTML(group.name)}">
+        <label class="checkbox" data-tooltip="${game.i18n.localize('BASTION_MANAGER.Groups.Disband')}">
+          <input type="checkbox" name="disband-${id}"> <i class="fas fa-trash"></i>
+        </label>
+      </li>
+    `).join('');
+    
+    const groupOptions = Object.entries(groups).map(([id, group]) => {
+      return `<option value="${id}">${foundry.utils.escapeHTML(group.name)}</option>`;
+    }).join('');
+    
+    const characterItems = characters.map(actor => {
+      const current = game.bastionManager.getActorGroupId(actor.id) ?? '';
+      const options = `
+        <option value="">${game.i18n.localize('BASTION_MANAGER.Groups.None')}</option>
+        ${groupOptions}
+        <option value="new">${game.i18n.localize('BASTION_MANAGER.Groups.NewGroup')}</option>
+      `.replace(`value="${current}"`, `value="${current}" selected`);
+      return `
+        <li class="character-item">
+          <img src="${actor.img}" alt="${foundry.utils.escapeHTML(actor.name)}">
+          <div class="character-info">
+            <span class="character-name">${foundry.utils.escapeHTML(actor.name)}</span>
+          </div>
+          <select name="member-${actor.id}">${options}</select>
+        </li>
+      `;
+    }).join('');
+    
+    const content = `
+      <div class="bastion-manage-form bastion-groups-form">
+        <p class="hint">${game.i18n.localize('BASTION_MANAGER.Groups.Hint')}</p>
+        ${groupRows ? `<ul class="group-list">${groupRows}</ul>` : ''}
+        <div class="form-group">
+          <label>${game.i18n.localize('BASTION_MANAGER.Groups.NewGroupName')}</label>
+          <input type="text" name="newGroup" value="" placeholder="${game.i18n.localize('BASTION_MANAGER.Groups.DefaultName')}">
+        </div>
+        <ul class="character-list">
+          ${characterItems || `<li class="no-characters">${game.i18n.localize('BASTION_MANAGER.Overview.NoCharacters')}</li>`}
+        </ul>
+      </div>
+    `;
+    
+    const saved = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize('BASTION_MANAGER.Groups.Title'),
+        icon: 'fa-solid fa-people-roof'
+      },
+      position: { width: 440 },
+      content,
+      ok: {
+        label: game.i18n.localize('Save'),
+        callback: async (event, button, dialog) => {
+          const form = button.form;
+          const updated = {};
+          
+          for (const [id, group] of Object.entries(groups)) {
+            if (form.elements[`disband-${id}`]?.checked) continue;
+            updated[id] = { name: form.elements[`group-${id}`]?.value?.trim() || group.name, members: [] };
+          }
+          
+          const newId = foundry.utils.randomID();
+          const newName = form.elements.newGroup?.value?.trim() || game.i18n.localize('BASTION_MANAGER.Groups.DefaultName');
+          for (const actor of characters) {
+            let groupId = form.elements[`member-${actor.id}`]?.value;
+            if (groupId === 'new') {
+              updated[newId] ??= { name: newName, members: [] };
+              groupId = newId;
+            }
+            updated[groupId]?.members.push(actor.id);
+          }
+          
+          // A group needs at least two members to be worth combining
+          for (const [id, group] of Object.entries(updated)) {
+            if (group.members.length < 2) delete updated[id];
+          }
+          
+          await game.bastionManager.setBastionGroups(updated);
+          return true;
+        }
+      },
+      rejectClose: false
+    });
+    
+    if (!saved) return;
+    
+    // Windows opened on a bastion that no longer stands on its own need closing
+    for (const [bastionId, app] of game.bastionManager.detailApps) {
+      const members = game.bastionManager.getBastionMembers(bastionId);
+      const stale = app.groupId
+        ? !members.length
+        : !!game.bastionManager.getActorGroupId(bastionId);
+      if (stale) app.close();
+      else if (app.rendered) app.render();
+    }
+    this.render();
+  }
 }
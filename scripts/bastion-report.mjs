@@ -0,0 +1,206 @@
+/**
+ * Bastion Report
+ * Posts a summary of a bastion's facilities, orders and occupants to chat
+ */
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Builds and posts bastion status reports
+ */
+export class BastionReport {
+
+  /**
+   * Who a report can be shown to
+   * @enum {string}
+   */
+  static MODES = {
+    owners: 'BASTION_MANAGER.Report.Owners',
+    public: 'BASTION_MANAGER.Report.Public'
+  };
+
+  /**
+   * Gather what a report shows about a bastion
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {Array} [turn]      Summaries of the bastion turn being reported, from BastionTurn.advanceBastion
+   * @returns {Object|null}
+   */
+  static prepareData(bastionId, turn = []) {
+    const members = game.bastionManager.getBastionMembers(bastionId);
+    if (!members.length) return null;
+
+    const bastionData = game.bastionManager.getBastionData(bastionId);
+    const group = game.bastionManager.getBastionGroup(bastionId);
+    const data = {
+      name: bastionData.name || group?.name || members[0].system.bastion?.name || `${members[0].name}'s Bastion`,
+      image: bastionData.image || 'icons/svg/tower.svg',
+      basic: { value: 0, max: 0 },
+      special: { value: 0, max: 0 },
+      orders: [],
+      delivered: turn.flatMap(result => [
+        ...(result.crafted || []).map(name => ({ name, icon: 'fa-hammer', label: 'BASTION_MANAGER.Turn.Crafted' })),
+        ...(result.harvested || []).map(name => ({ name, icon: 'fa-wheat-awn', label: 'BASTION_MANAGER.Harvest.Harvested' }))
+      ]),
+      occupants: {
+        hirelings: { value: 0, max: 0 },
+        defenders: { value: 0, max: 0 },
+        creatures: { value: 0, max: 0 }
+      }
+    };
+
+    for (const actor of members) {
+      const limits = game.bastionManager.getSlotLimits(actor.id);
+      data.basic.max += limits.basic;
+      data.special.max += limits.special;
+
+      for (const facility of actor.itemTypes.facility || []) {
+        const system = facility.system;
+        if (system.type.value === 'basic') data.basic.value++;
+        else if (!system.free) data.special.value++;
+
+        const occupants = [
+          ['hirelings', system.hirelings],
+          ['defenders', system.defenders],
+          ['creatures', system.trade?.creatures]
+        ];
+        for (const [key, slots] of occupants) {
+          data.occupants[key].value += slots?.value?.length || 0;
+          data.occupants[key].max += slots?.max || 0;
+        }
+
+        const progress = system.progress;
+        if (!progress?.order) continue;
+        const orderConfig = CONFIG.DND5E.facilities.orders[progress.order] || {};
+        data.orders.push({
+          facilityName: facility.name,
+          orderLabel: game.i18n.localize(orderConfig.label || progress.order),
+          icon: orderConfig.icon,
+          value: progress.value || 0,
+          max: progress.max || 0,
+          pct: progress.max ? Math.round(Math.clamp((progress.value || 0) / progress.max, 0, 1) * 100) : 0
+        });
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Render a report as chat card HTML
+   * @param {Object} data  Data from prepareData
+   * @returns {string}
+   */
+  static renderContent(data) {
+    const escape = foundry.utils.escapeHTML;
+    const orders = data.orders.length ? data.orders.map(order => `
+      <li class="report-order">
+        ${order.icon ? `<img src="${order.icon}" alt="">` : ''}
+        <span class="report-facility">${escape(order.facilityName)} <span class="report-order-label">${escape(order.orderLabel)}</span></span>
+        <span class="report-days">${order.value} / ${order.max}</span>
+        <div class="report-progress"><div class="report-progress-bar" style="width: ${order.pct}%"></div></div>
+      </li>
+    `).join('') : `<li class="report-order no-orders">${game.i18n.localize('BASTION_MANAGER.Report.NoOrders')}</li>`;
+
+    const delivered = data.delivered.map(item => `
+      <li class="report-order">
+        <i class="fas ${item.icon}"></i>
+        <span class="report-facility">${escape(item.name)} <span class="report-order-label">${game.i18n.localize(item.label)}</span></span>
+      </li>
+    `).join('');
+
+    const occupants = [
+      ['hirelings', 'fa-user', 'DND5E.FACILITY.FIELDS.hirelings.max.label'],
+      ['defenders', 'fa-shield', 'DND5E.FACILITY.FIELDS.defenders.max.label'],
+      ['creatures', 'fa-horse-head', 'BASTION_MANAGER.Facilities.Creatures']
+    ].filter(([key]) => data.occupants[key].max).map(([key, icon, label]) => `
+      <span class="report-count" data-tooltip="${game.i18n.localize(label)}">
+        <i class="fas ${icon}"></i> ${data.occupants[key].value} / ${data.occupants[key].max}
+      </span>
+    `).join('');
+
+    return `
+      <div class="bastion-manager bastion-report-card">
+        <header class="report-header">
+          <img src="${data.image}" alt="">
+          <h3>${escape(data.name)}</h3>
+        </header>
+        <div class="report-facilities">
+          <span class="report-count">
+            <i class="fas fa-building-columns"></i>
+            ${game.i18n.localize('DND5E.FACILITY.Types.Special.Label.other')} ${data.special.value} / ${data.special.max}
+          </span>
+          <span class="report-count">
+            <i class="fas fa-chess-rook"></i>
+            ${game.i18n.localize('DND5E.FACILITY.Types.Basic.Label.other')} ${data.basic.value} / ${data.basic.max}
+          </span>
+        </div>
+        <h4>${game.i18n.localize('BASTION_MANAGER.Report.Orders')}</h4>
+        <ul class="report-orders">${orders}</ul>
+        ${delivered ? `
+          <h4>${game.i18n.localize('BASTION_MANAGER.Report.Delivered')}</h4>
+          <ul class="report-orders">${delivered}</ul>
+        ` : ''}
+        ${occupants ? `<div class="report-occupants">${occupants}</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Post a report for a bastion to chat
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {Object} [options]
+   * @param {string} [options.mode='owners']  A key of MODES
+   * @param {Array} [options.turn]            Summaries of a bastion turn to include what it delivered
+   * @returns {Promise<ChatMessage|null>}
+   */
+  static async post(bastionId, { mode = 'owners', turn } = {}) {
+    const data = BastionReport.prepareData(bastionId, turn);
+    if (!data) return null;
+
+    const members = game.bastionManager.getBastionMembers(bastionId);
+    const whisper = mode === 'public' ? [] : game.users
+      .filter(u => members.some(a => a.testUserPermission(u, 'OWNER')))
+      .map(u => u.id);
+
+    return ChatMessage.create({
+      content: BastionReport.renderContent(data),
+      speaker: ChatMessage.getSpeaker({ actor: members[0] }),
+      whisper,
+      flags: { [MODULE_ID]: { report: { bastionId } } }
+    });
+  }
+
+  /**
+   * Ask who should see a report, then post it
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Promise<ChatMessage|null>}
+   */
+  static async promptPost(bastionId) {
+    if (!game.bastionManager.canEditBastion(bastionId)) return null;
+
+    const options = Object.entries(BastionReport.MODES)
+      .map(([value, label]) => `<option value="${value}">${game.i18n.localize(label)}</option>`)
+      .join('');
+
+    const mode = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Report.Post'), icon: 'fa-solid fa-comment-dots' },
+      position: { width: 360 },
+      content: `
+        <div class="bastion-settings-form">
+          <div class="form-group">
+            <label>${game.i18n.localize('BASTION_MANAGER.Report.Audience')}</label>
+            <select name="mode">${options}</select>
+          </div>
+        </div>
+      `,
+      ok: {
+        label: game.i18n.localize('BASTION_MANAGER.Report.Post'),
+        callback: (event, button, dialog) => button.form.elements.mode.value
+      },
+      rejectClose: false
+    });
+    if (!mode) return null;
+
+    return BastionReport.post(bastionId, { mode });
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Bastion Scene
+ * Builds a Scene from a bastion, with a labelled map note for every facility
+ */
+
+import { BastionDetail } from './bastion-detail.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Creates and updates the Scene that represents a bastion
+ */
+export class BastionScene {
+
+  /**
+   * Scene size used when the bastion image can't be measured
+   * @type {{width: number, height: number}}
+   */
+  static DEFAULT_DIMENSIONS = { width: 3000, height: 2000 };
+
+  /**
+   * Size of each facility's note icon, in pixels
+   * @type {number}
+   */
+  static ICON_SIZE = 64;
+
+  /**
+   * Find the Scene previously generated for a bastion
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Scene|null}
+   */
+  static getScene(bastionId) {
+    return game.scenes.find(s => s.getFlag(MODULE_ID, 'bastionId') === bastionId) ?? null;
+  }
+
+  /**
+   * Create the Scene for a bastion, or bring an existing one up to date (GM only)
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Promise<Scene|null>}
+   */
+  static async createOrUpdate(bastionId) {
+    if (!game.user.isGM) return null;
+
+    const members = game.bastionManager.getBastionMembers(bastionId);
+    if (!members.length) return null;
+
+    const bastionData = game.bastionManager.getBastionData(bastionId);
+    const group = game.bastionManager.getBastionGroup(bastionId);
+    const name = bastionData.name || group?.name || members[0].system.bastion?.name || `${members[0].name}'s Bastion`;
+    const src = bastionData.image || null;
+    const { width, height } = await BastionScene._measure(src);
+
+    let scene = BastionScene.getScene(bastionId);
+    if (scene) {
+      await scene.update({ name, 'background.src': src, width, height });
+    } else {
+      scene = await Scene.create({
+        name,
+        width,
+        height,
+        padding: 0,
+        background: { src },
+        flags: { [MODULE_ID]: { bastionId } }
+      });
+    }
+
+    await BastionScene._syncNotes(scene, members.flatMap(a => a.itemTypes.facility || []), bastionData.floorplan || {});
+    return scene;
+  }
+
+  /**
+   * Work out the size of the bastion image
+   * @param {string|null} src
+   * @returns {Promise<{width: number, height: number}>}
+   */
+  static async _measure(src) {
+    if (!src) return BastionScene.DEFAULT_DIMENSIONS;
+    try {
+      const texture = await foundry.canvas.loadTexture(src);
+      if (texture?.width && texture?.height) return { width: texture.width, height: texture.height };
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Could not load bastion image ${src}`, err);
+    }
+    return BastionScene.DEFAULT_DIMENSIONS;
+  }
+
+  /**
+   * Add a note for each new facility, relabel existing ones, and remove notes for deleted facilities.
+   * Notes the GM has already moved keep their position.
+   * @param {Scene} scene
+   * @param {Item5e[]} facilities
+   * @param {Object<string, {x: number, y: number}>} floorplan  Saved floorplan positions
+   */
+  static async _syncNotes(scene, facilities, floorplan) {
+    const notes = new Map();
+    for (const note of scene.notes) {
+      const uuid = note.getFlag(MODULE_ID, 'facilityUuid');
+      if (uuid) notes.set(uuid, note);
+    }
+
+    const create = [];
+    const update = [];
+    let placed = 0;
+    for (const facility of facilities) {
+      const data = {
+        text: facility.name,
+        'texture.src': facility.img,
+        iconSize: BastionScene.ICON_SIZE,
+        textAnchor: CONST.TEXT_ANCHOR_POINTS.BOTTOM
+      };
+
+      const existing = notes.get(facility.uuid);
+      notes.delete(facility.uuid);
+      if (existing) {
+        update.push({ _id: existing.id, ...data });
+        continue;
+      }
+
+      const position = BastionScene._position(scene, floorplan[facility.id], placed++);
+      create.push(foundry.utils.expandObject({
+        ...data,
+        ...position,
+        flags: { [MODULE_ID]: { facilityUuid: facility.uuid } }
+      }));
+    }
+
+    if (update.length) await scene.updateEmbeddedDocuments('Note', update);
+    if (create.length) await scene.createEmbeddedDocuments('Note', create);
+    if (notes.size) await scene.deleteEmbeddedDocuments('Note', Array.from(notes.values()).map(n => n.id));
+  }
+
+  /**
+   * Choose where a new facility note goes, following the floorplan where the facility has been placed on it
+   * @param {Scene} scene
+   * @param {{x: number, y: number}} [saved]  The facility's floorplan position
+   * @param {number} index                    How many facilities without a position came before this one
+   * @returns {{x: number, y: number}}
+   */
+  static _position(scene, saved, index) {
+    const { width, height } = scene;
+    // Saved floorplan positions are in floorplan squares, so scale them onto the scene
+    const cell = width / BastionDetail.FLOORPLAN_COLUMNS;
+    if (saved) {
+      return {
+        x: Math.round(Math.clamp((saved.x + 1) * cell, 0, width)),
+        y: Math.round(Math.clamp((saved.y + 1) * cell, 0, height))
+      };
+    }
+
+    // Otherwise lay facilities out in rows across the scene
+    const spacing = BastionScene.ICON_SIZE * 3;
+    const perRow = Math.max(1, Math.floor(width / spacing));
+    return {
+      x: Math.round(((index % perRow) + 0.5) * spacing),
+      y: Math.round(Math.clamp((Math.floor(index / perRow) + 0.5) * spacing, 0, height))
+    };
+  }
+
+  /**
+   * Let a facility's map note open the facility when double-clicked.
+   * Core only activates notes linked to a journal entry, so facility notes need their own listener.
+   * @param {Note} note
+   */
+  static onDrawNote(note) {
+    const uuid = note.document.getFlag(MODULE_ID, 'facilityUuid');
+    if (!uuid || note._bastionListener) return;
+    note._bastionListener = true;
+
+    note.on('click', event => {
+      if (event.detail < 2) return;
+      fromUuid(uuid).then(facility => {
+        if (facility) facility.sheet?.render(true);
+        else ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.FacilityNotFound'));
+      });
+    });
+  }
+}
@@ -0,0 +1,443 @@
+/**
+ * Bastion Storage
+ * Keeps the bastion data players edit somewhere they can write it
+ */
+
+import { BastionOrders } from './bastion-orders.mjs';
+import { BastionCrafting } from './bastion-crafting.mjs';
+import { BastionMigration } from './bastion-migration.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Reads and writes per-bastion data. An actor's bastion is stored in flags on the actor, which
+ * its owner can update. Combined bastions have no actor of their own, so they stay in world
+ * settings. Changes players can't write themselves, including changes to facilities on a bastion
+ * shared with them, are passed to the active GM over the module socket.
+ */
+export class BastionStorage {
+
+  /**
+   * World settings holding player-editable bastion data, mapped to the actor flag that replaces them
+   * @type {Record<string, string>}
+   */
+  static FLAGS = {
+    bastionData: 'bastionData',
+    visibilitySettings: 'visibility',
+    treasury: 'treasury'
+  };
+
+  /**
+   * Facility properties a user with each sharing level may change, keyed by level name.
+   * Changes touching anything else need full edit access.
+   * @type {Record<string, string[]>}
+   */
+  static FACILITY_PROPS = {
+    STAFF: ['system.hirelings.value', 'system.defenders.value', 'system.trade.creatures.value'],
+    ORDERS: [
+      'system.progress.value', 'system.progress.max', 'system.progress.order',
+      'system.building.built', 'system.building.size',
+      'system.craft.item', `flags.${MODULE_ID}.harvest`
+    ]
+  };
+
+  /**
+   * The module's socket channel
+   * @type {string}
+   */
+  static SOCKET = `module.${MODULE_ID}`;
+
+  /**
+   * How long to wait for a GM to acknowledge a change, in milliseconds
+   * @type {number}
+   */
+  static REQUEST_TIMEOUT = 5000;
+
+  /**
+   * Requests sent to a GM which are waiting for acknowledgement, keyed by request ID
+   * @type {Map<string, Function>}
+   */
+  static #pending = new Map();
+
+  /**
+   * Get the stored value of a setting for one bastion
+   * @param {string} setting    The world setting name, e.g. bastionData
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {*}
+   */
+  static get(setting, bastionId) {
+    const actor = game.actors.get(bastionId);
+    const flag = BastionStorage.FLAGS[setting];
+    if (actor && flag) {
+      const stored = actor.getFlag(MODULE_ID, flag);
+      if (stored !== undefined) return stored;
+    }
+    return (game.settings.get(MODULE_ID, setting) || {})[bastionId];
+  }
+
+  /**
+   * Store the value of a setting for one bastion
+   * @param {string} setting    The world setting name, e.g. bastionData
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {*} value
+   * @returns {Promise<boolean>} Whether the value was saved
+   */
+  static async set(setting, bastionId, value) {
+    const actor = game.actors.get(bastionId);
+    if ((actor?.isOwner && BastionStorage.FLAGS[setting]) || game.user.isGM) {
+      await BastionStorage._writeSetting(setting, bastionId, value);
+      return true;
+    }
+    return BastionStorage._requestGM({ action: 'set', setting, bastionId, value });
+  }
+
+  /**
+   * Write one bastion's entry, in the actor's flags or in a world setting
+   * @param {string} setting
+   * @param {string} bastionId
+   * @param {*} value
+   */
+  static async _writeSetting(setting, bastionId, value) {
+    const actor = game.actors.get(bastionId);
+    const flag = BastionStorage.FLAGS[setting];
+    if (actor && flag) {
+      await actor.setFlag(MODULE_ID, flag, value);
+      return;
+    }
+
+    const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, setting) || {});
+    data[bastionId] = value;
+    await game.settings.set(MODULE_ID, setting, data);
+  }
+
+  /* -------------------------------------------- */
+  /*  Facilities                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * Update a facility, asking the GM to do it if the user doesn't own the actor
+   * @param {Item5e} facility
+   * @param {Object} changes
+   * @returns {Promise<boolean>} Whether the facility was updated
+   */
+  static async updateFacility(facility, changes) {
+    return BastionStorage._changeFacilities(facility.actor, 'update', { _id: facility.id, ...changes });
+  }
+
+  /**
+   * Create a facility on an actor, asking the GM to do it if the user doesn't own the actor
+   * @param {Actor5e} actor
+   * @param {Object} itemData
+   * @returns {Promise<boolean>} Whether the facility was created
+   */
+  static async createFacility(actor, itemData) {
+    return BastionStorage._changeFacilities(actor, 'create', itemData);
+  }
+
+  /**
+   * Delete a facility, asking the GM to do it if the user doesn't own the actor
+   * @param {Item5e} facility
+   * @returns {Promise<boolean>} Whether the facility was deleted
+   */
+  static async deleteFacility(facility) {
+    return BastionStorage._changeFacilities(facility.actor, 'delete', { _id: facility.id });
+  }
+
+  /**
+   * Make a change to an actor's facilities directly, or through the GM
+   * @param {Actor5e} actor
+   * @param {string} operation  create, update or delete
+   * @param {Object} data
+   * @returns {Promise<boolean>}
+   */
+  static async _changeFacilities(actor, operation, data) {
+    if (!actor) return false;
+    if (actor.isOwner) return !!(await BastionStorage._applyFacilityChange(actor, operation, data));
+    return BastionStorage._requestGM({ action: 'facility', actorId: actor.id, operation, data });
+  }
+
+  /**
+   * Apply a change to an actor's facilities
+   * @param {Actor5e} actor
+   * @param {string} operation  create, update or delete
+   * @param {Object} data
+   * @returns {Promise<Item5e|Item5e[]|null>}
+   */
+  static async _applyFacilityChange(actor, operation, data) {
+    switch (operation) {
+      case 'create': return (await actor.createEmbeddedDocuments('Item', [data]))[0] ?? null;
+      case 'update': return (await actor.updateEmbeddedDocuments('Item', [data]))[0] ?? null;
+      case 'delete': return (await actor.deleteEmbeddedDocuments('Item', [data._id]))[0] ?? null;
+      default: return null;
+    }
+  }
+
+  /**
+   * Ask the GM to set a facility on a bastion shared with this user crafting an item.
+   * Only items that cost nothing can be crafted this way, as nobody has paid for materials.
+   * @param {Item5e} facility
+   * @param {Item5e} item
+   * @returns {Promise<boolean>} Whether crafting was started
+   */
+  static async requestCraft(facility, item) {
+    return BastionStorage._requestGM({ action: 'craft', actorId: facility.actor.id, facilityId: facility.id, itemUuid: item.uuid });
+  }
+
+  /**
+   * Work out the sharing level needed to make a change to a facility
+   * @param {string} operation  create, update or delete
+   * @param {Object} data
+   * @param {Item5e} [item]     The facility being updated
+   * @returns {number} A PERMISSION_LEVELS value
+   */
+  static requiredLevel(operation, data, item) {
+    const { STAFF, ORDERS, EDIT } = game.bastionManager.PERMISSION_LEVELS;
+    if (operation !== 'update') return EDIT;
+
+    const { STAFF: staffProps, ORDERS: orderProps } = BastionStorage.FACILITY_PROPS;
+    const flat = foundry.utils.flattenObject(data);
+    const keys = Object.keys(flat).filter(k => k !== '_id');
+    if (keys.every(k => staffProps.includes(k))) return STAFF;
+    if (keys.every(k => staffProps.includes(k) || orderProps.includes(k)) && BastionStorage._isOrderChange(item, flat)) {
+      return ORDERS;
+    }
+    return EDIT;
+  }
+
+  /**
+   * Check that a change to a facility's order is one issuing or cancelling an order makes,
+   * so that users who may only give orders can't finish, shorten or skip paying for one
+   * @param {Item5e} [item]  The facility being updated
+   * @param {Object} flat    The update, flattened
+   * @returns {boolean}
+   */
+  static _isOrderChange(item, flat) {
+    const has = key => key in flat;
+
+    // Orders can only clear what was being crafted or harvested
+    if (has('system.craft.item') && (flat['system.craft.item'] !== null)) return false;
+    if (has(`flags.${MODULE_ID}.harvest`) && (flat[`flags.${MODULE_ID}.harvest`] !== null)) return false;
+
+    const progress = ['value', 'max', 'order'].filter(key => has(`system.progress.${key}`));
+    const building = ['built', 'size'].filter(key => has(`system.building.${key}`));
+    if (!progress.length) return !building.length;
+    if (!item || (progress.length < 3) || (flat['system.progress.value'] !== 0)) return false;
+
+    const max = flat['system.progress.max'];
+    const order = flat['system.progress.order'];
+
+    // Cancelling, which puts an abandoned enlargement back at the facility's current size
+    if (order === '') {
+      if (max !== null) return false;
+      if (!building.length) return true;
+      return (item.system.progress?.order === 'enlarge') && (building.length === 2)
+        && (flat['system.building.built'] === true) && (flat['system.building.size'] === item.system.size);
+    }
+
+    // Issuing an order. Building, enlarging and crafting are paid for, so they're started elsewhere.
+    if (building.length || !BastionOrders.getAvailableOrders(item).includes(order)) return false;
+    if (BastionOrders.CONSTRUCTION_ORDERS.includes(order) || (order === 'craft')) return false;
+    return max === BastionOrders.getDuration(item, order);
+  }
+
+  /* -------------------------------------------- */
+  /*  Socket                                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Start listening for changes relayed by players
+   */
+  static registerSocket() {
+    game.socket.on(BastionStorage.SOCKET, BastionStorage._onSocketMessage);
+  }
+
+  /**
+   * Ask the active GM to save a change on this user's behalf
+   * @param {Object} change  The change, with an action of set or facility
+   * @returns {Promise<boolean>} Whether a GM confirmed the change
+   */
+  static _requestGM(change) {
+    if (!game.users.activeGM) {
+      ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.NoGM'));
+      return Promise.resolve(false);
+    }
+
+    const requestId = foundry.utils.randomID();
+    return new Promise(resolve => {
+      const timeout = setTimeout(() => {
+        BastionStorage.#pending.delete(requestId);
+        ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.NoGM'));
+        resolve(false);
+      }, BastionStorage.REQUEST_TIMEOUT);
+
+      BastionStorage.#pending.set(requestId, saved => {
+        clearTimeout(timeout);
+        if (!saved) ui.notifications.warn(game.i18n.localize('BASTION_MANAGER.Warnings.ChangeRefused'));
+        resolve(saved);
+      });
+
+      game.socket.emit(BastionStorage.SOCKET, { ...change, requestId, userId: game.user.id });
+    });
+  }
+
+  /**
+   * Handle a message on the module socket
+   * @param {Object} message
+   */
+  static async _onSocketMessage(message) {
+    const { action, requestId } = message;
+
+    if (action === 'ack') {
+      BastionStorage.#pending.get(requestId)?.(message.saved);
+      BastionStorage.#pending.delete(requestId);
+      return;
+    }
+
+    if (!game.users.activeGM?.isSelf) return;
+
+    let saved = false;
+    try {
+      if (action === 'set') saved = await BastionStorage._onSetRequest(message);
+      else if (action === 'facility') saved = await BastionStorage._onFacilityRequest(message);
+      else if (action === 'craft') saved = await BastionStorage._onCraftRequest(message);
+      else return;
+    } catch (err) {
+      console.error(`${MODULE_ID} | Could not apply a change requested by a player`, err);
+    }
+    game.socket.emit(BastionStorage.SOCKET, { action: 'ack', requestId, saved });
+  }
+
+  /**
+   * Save a bastion setting for a user who may fully edit the bastion
+   * @param {Object} message
+   * @returns {Promise<boolean>}
+   */
+  static async _onSetRequest({ setting, bastionId, value, userId }) {
+    if (!(setting in BastionStorage.FLAGS) || !game.bastionManager.canEditBastion(bastionId, userId)) return false;
+
+    // Players a bastion is shared with can't change who else it's shared with, or its treasury
+    const user = game.users.get(userId);
+    const isOwner = game.bastionManager.getBastionMembers(bastionId).some(a => a.testUserPermission(user, 'OWNER'));
+    if (['visibilitySettings', 'treasury'].includes(setting) && !isOwner) return false;
+    await BastionStorage._writeSetting(setting, bastionId, value);
+    return true;
+  }
+
+  /**
+   * Change a facility for a user whose sharing level allows that change
+   * @param {Object} message
+   * @returns {Promise<boolean>}
+   */
+  static async _onFacilityRequest({ actorId, operation, data, userId }) {
+    const actor = game.actors.get(actorId);
+    if (!actor || !data) return false;
+
+    // Only facilities may be touched this way
+    const item = operation === 'create' ? data : actor.items.get(data._id);
+    if (item?.type !== 'facility') return false;
+
+    const bastionId = game.bastionManager.getActorGroupId(actorId) ?? actorId;
+    const level = game.bastionManager.getPermission(bastionId, userId);
+    if (level < BastionStorage.requiredLevel(operation, data, actor.items.get(data._id))) return false;
+
+    return !!(await BastionStorage._applyFacilityChange(actor, operation, data));
+  }
+
+  /**
+   * Start a free craft for a user who may give the facility orders, if the facility can make the item
+   * @param {Object} message
+   * @returns {Promise<boolean>}
+   */
+  static async _onCraftRequest({ actorId, facilityId, itemUuid, userId }) {
+    const actor = game.actors.get(actorId);
+    const facility = actor?.items.get(facilityId);
+    if (facility?.type !== 'facility') return false;
+
+    const bastionId = game.bastionManager.getActorGroupId(actorId) ?? actorId;
+    const level = game.bastionManager.getPermission(bastionId, userId);
+    if (level < game.bastionManager.PERMISSION_LEVELS.ORDERS) return false;
+    if (!BastionOrders.getAvailableOrders(facility).includes('craft')) return false;
+
+    const item = await fromUuid(itemUuid);
+    if ((item?.documentName !== 'Item') || !BastionCrafting.canCraft(facility, item)) return false;
+
+    const cost = BastionCrafting.getCost(facility, item);
+    if (cost.gold) return false;
+    return !!(await BastionStorage._applyFacilityChange(actor, 'update', {
+      _id: facility.id,
+      ...BastionCrafting.getCraftUpdate(item, cost)
+    }));
+  }
+
+  /* -------------------------------------------- */
+  /*  Migration                                   */
+  /* -------------------------------------------- */
+
+  /**
+   * Move actor bastions out of world settings and into actor flags (GM only).
+   * Anything already in a flag is combined with the world entry rather than replaced.
+   * @returns {Promise<number>} The number of entries moved
+   */
+  static async migrateWorldData() {
+    if (!game.user.isGM) return 0;
+
+    let moved = 0;
+    for (const [setting, flag] of Object.entries(BastionStorage.FLAGS)) {
+      const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, setting) || {});
+      let changed = false;
+
+      for (const [bastionId, value] of Object.entries(data)) {
+        const actor = game.actors.get(bastionId);
+        if (!actor || (value === null) || (value === undefined)) continue;
+
+        // Leave an entry in the world setting if it can't be moved, so it's tried again next time
+        const existing = actor.getFlag(MODULE_ID, flag);
+        const merged = existing === undefined ? value : BastionStorage._mergeEntry(setting, value, existing);
+        try {
+          await actor.setFlag(MODULE_ID, flag, merged);
+        } catch (err) {
+          console.error(`${MODULE_ID} | Could not move ${setting} onto ${actor.name}`, err);
+          continue;
+        }
+
+        delete data[bastionId];
+        changed = true;
+        moved++;
+      }
+
+      if (changed) await game.settings.set(MODULE_ID, setting, data);
+    }
+
+    if (moved) console.log(`${MODULE_ID} | Moved ${moved} bastion settings onto their actors`);
+    return moved;
+  }
+
+  /**
+   * Combine a world setting entry with data already stored on the actor
+   * @param {string} setting
+   * @param {Object} world  The entry from the world setting
+   * @param {Object} flag   The entry already in the actor's flags
+   * @returns {Object}
+   */
+  static _mergeEntry(setting, world, flag) {
+    switch (setting) {
+      case 'treasury': {
+        const entries = new Map();
+        for (const entry of [...(world.ledger || []), ...(flag.ledger || [])]) entries.set(entry.id, entry);
+        const ledger = Array.from(entries.values()).sort((a, b) => a.timestamp - b.timestamp);
+        const balance = ledger.reduce((total, entry) => entry.paidBy ? total : total + (entry.amount || 0), 0);
+        return { balance, ledger };
+      }
+      case 'visibilitySettings': {
+        // Either side may still be in the old shape; keep the higher level for everyone
+        const a = BastionMigration.normaliseVisibility(world);
+        const b = BastionMigration.normaliseVisibility(flag);
+        const users = { ...a.users };
+        for (const [id, level] of Object.entries(b.users)) users[id] = Math.max(users[id] ?? 0, level);
+        return { default: Math.max(a.default, b.default), users };
+      }
+      default:
+        return foundry.utils.mergeObject(world, flag, { inplace: false });
+    }
+  }
+}
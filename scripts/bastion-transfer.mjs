@@ -0,0 +1,270 @@
+/**
+ * Bastion Transfer
+ * Exports a bastion to a JSON file and recreates it on another actor, possibly in another world
+ */
+
+import { BastionMigration } from './bastion-migration.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Export and import of whole bastions
+ */
+export class BastionTransfer {
+
+  /**
+   * Version of the export format, bumped whenever its shape changes
+   * @type {number}
+   */
+  static FORMAT_VERSION = 1;
+
+  /**
+   * Occupant properties on a facility that hold actor references
+   * @type {string[]}
+   */
+  static OCCUPANT_PROPS = ['system.defenders', 'system.hirelings', 'system.trade.creatures'];
+
+  /**
+   * Bastion data that points at documents of the exported bastion, so it isn't carried over:
+   * the linked journal, and floorplan positions keyed by facility item IDs
+   * @type {string[]}
+   */
+  static LOCAL_DATA = ['journal', 'floorplan'];
+
+  /**
+   * Bundle a bastion's settings and facilities into a plain object
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @returns {Object}
+   */
+  static exportData(bastionId) {
+    const members = game.bastionManager.getBastionMembers(bastionId);
+    const visibility = game.bastionManager.getVisibility(bastionId);
+    const group = game.bastionManager.getBastionGroup(bastionId);
+    const actor = game.actors.get(bastionId);
+
+    // Remember who each occupant was, so they can be found by name in another world
+    const occupants = {};
+    const facilities = members.flatMap(a => a.itemTypes.facility || []).map(facility => {
+      for (const prop of BastionTransfer.OCCUPANT_PROPS) {
+        for (const uuid of foundry.utils.getProperty(facility, `${prop}.value`) || []) {
+          const occupant = fromUuidSync(uuid);
+          occupants[uuid] = { name: occupant?.name ?? null, type: occupant?.type ?? null };
+        }
+      }
+      const data = facility.toObject();
+      delete data._id;
+      delete data._stats;
+      delete data.ownership;
+      return data;
+    });
+
+    return {
+      module: MODULE_ID,
+      version: BastionTransfer.FORMAT_VERSION,
+      exportedAt: Date.now(),
+      source: {
+        world: game.world.id,
+        name: group?.name ?? actor?.name ?? ''
+      },
+      bastionData: BastionTransfer._portableData(game.bastionManager.getBastionData(bastionId)),
+      visibility,
+      overrides: group ? null : game.bastionManager.getBuildingOverrides(bastionId),
+      facilities,
+      occupants
+    };
+  }
+
+  /**
+   * Copy bastion data without the parts that only apply to the bastion it came from
+   * @param {Object} [bastionData]
+   * @returns {Object}
+   */
+  static _portableData(bastionData) {
+    const data = foundry.utils.deepClone(bastionData || {});
+    for (const key of BastionTransfer.LOCAL_DATA) delete data[key];
+    return data;
+  }
+
+  /**
+   * Download a bastion as a JSON file
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   */
+  static exportToFile(bastionId) {
+    const data = BastionTransfer.exportData(bastionId);
+    const name = data.bastionData.name || data.source.name || 'bastion';
+    const filename = `bastion-${name.slugify({ strict: true }) || bastionId}.json`;
+    foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'text/json', filename);
+  }
+
+  /**
+   * Recreate an exported bastion on an actor
+   * @param {Actor5e} actor      The actor receiving the bastion
+   * @param {Object} data        Data produced by exportData
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false]  Delete the actor's existing facilities once the new ones exist
+   * @returns {Promise<{created: number, unresolved: Array<{facility: string, name: string}>}>}
+   */
+  static async importData(actor, data, { replace = false } = {}) {
+    if (data?.module !== MODULE_ID || !Array.isArray(data.facilities)) {
+      throw new Error(game.i18n.localize('BASTION_MANAGER.Transfer.InvalidFile'));
+    }
+    if (data.version > BastionTransfer.FORMAT_VERSION) {
+      throw new Error(game.i18n.format('BASTION_MANAGER.Transfer.NewerVersion', { version: data.version }));
+    }
+
+    // Point each occupant at an actor in this world, dropping those that can't be found
+    const unresolved = [];
+    const facilities = [];
+    for (const source of data.facilities) {
+      const itemData = foundry.utils.deepClone(source);
+      for (const prop of BastionTransfer.OCCUPANT_PROPS) {
+        const uuids = foundry.utils.getProperty(itemData, `${prop}.value`);
+        if (!uuids?.length) continue;
+
+        const resolved = [];
+        for (const uuid of uuids) {
+          const match = await BastionTransfer._resolveOccupant(uuid, data.occupants?.[uuid]);
+          if (match) resolved.push(match);
+          else unresolved.push({ facility: itemData.name, name: data.occupants?.[uuid]?.name || uuid });
+        }
+        foundry.utils.setProperty(itemData, `${prop}.value`, resolved);
+      }
+      facilities.push(itemData);
+    }
+
+    // Old facilities stay until the new ones are in place, so a failed import doesn't lose them
+    const existing = replace ? (actor.itemTypes.facility || []).map(f => f.id) : [];
+    const created = await actor.createEmbeddedDocuments('Item', facilities);
+    if (existing.length) await actor.deleteEmbeddedDocuments('Item', existing);
+
+    // Files exported before local data was left out may still carry it
+    const bastionData = BastionTransfer._portableData(data.bastionData);
+    if (Object.keys(bastionData).length) await game.bastionManager.setBastionData(actor.id, bastionData);
+
+    // Only share with users who exist in this world
+    if (data.visibility) {
+      const visibility = BastionMigration.normaliseVisibility(data.visibility);
+      visibility.users = Object.fromEntries(Object.entries(visibility.users).filter(([id]) => game.users.has(id)));
+      await game.bastionManager.setVisibility(actor.id, visibility);
+    }
+
+    if (data.overrides && game.user.isGM) {
+      await game.bastionManager.setBuildingOverrides(actor.id, {
+        basic: data.overrides.basic || 0,
+        special: data.overrides.special || 0
+      });
+    }
+
+    return { created: created.length, unresolved };
+  }
+
+  /**
+   * Find the actor an exported occupant reference refers to in this world
+   * @param {string} uuid                              The occupant's UUID when exported
+   * @param {{name: string, type: string}} [occupant]  What was known about the occupant
+   * @returns {Promise<string|null>} The UUID of a matching actor
+   */
+  static async _resolveOccupant(uuid, occupant) {
+    const existing = await fromUuid(uuid).catch(() => null);
+    if (existing) return existing.uuid;
+
+    if (!occupant?.name) return null;
+    const match = game.actors.find(a => {
+      return (a.name === occupant.name) && (!occupant.type || (a.type === occupant.type));
+    });
+    return match?.uuid ?? null;
+  }
+
+  /**
+   * Ask for a bastion file and import it onto one of the given actors
+   * @param {Actor5e[]} actors  Actors the user may import onto
+   * @returns {Promise<boolean>} Whether a bastion was imported
+   */
+  static async promptImport(actors) {
+    if (!actors.length) return false;
+
+    const options = actors.map(a => `<option value="${a.id}">${foundry.utils.escapeHTML(a.name)}</option>`).join('');
+    const content = `
+      <div class="bastion-settings-form">
+        <p class="hint">${game.i18n.localize('BASTION_MANAGER.Transfer.ImportHint')}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize('BASTION_MANAGER.Transfer.File')}</label>
+          <input type="file" name="file" accept=".json,application/json">
+        </div>
+        ${actors.length > 1 ? `
+        <div class="form-group">
+          <label>${game.i18n.localize('BASTION_MANAGER.Transfer.Target')}</label>
+          <select name="actorId">${options}</select>
+        </div>
+        ` : `<input type="hidden" name="actorId" value="${actors[0].id}">`}
+        <div class="form-group">
+          <label class="checkbox">
+            <input type="checkbox" name="replace">
+            ${game.i18n.localize('BASTION_MANAGER.Transfer.Replace')}
+          </label>
+        </div>
+      </div>
+    `;
+
+    const choice = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Transfer.Import'), icon: 'fa-solid fa-file-import' },
+      position: { width: 440 },
+      content,
+      ok: {
+        label: game.i18n.localize('BASTION_MANAGER.Transfer.Import'),
+        callback: (event, button, dialog) => {
+          const form = button.form;
+          return {
+            file: form.elements.file.files[0] ?? null,
+            actorId: form.elements.actorId.value,
+            replace: form.elements.replace.checked
+          };
+        }
+      },
+      rejectClose: false
+    });
+
+    const actor = game.actors.get(choice?.actorId);
+    if (!choice?.file || !actor) return false;
+
+    let report;
+    try {
+      const data = JSON.parse(await foundry.utils.readTextFromFile(choice.file));
+      report = await BastionTransfer.importData(actor, data, { replace: choice.replace });
+    } catch (err) {
+      console.error(`${MODULE_ID} | Failed to import bastion`, err);
+      ui.notifications.error(game.i18n.format('BASTION_MANAGER.Transfer.Failed', { error: err.message }));
+      return false;
+    }
+
+    ui.notifications.info(game.i18n.format('BASTION_MANAGER.Transfer.Imported', { count: report.created, name: actor.name }));
+    if (report.unresolved.length) await BastionTransfer.showUnresolved(report.unresolved);
+    return true;
+  }
+
+  /**
+   * List the occupants an import couldn't find
+   * @param {Array<{facility: string, name: string}>} unresolved
+   */
+  static async showUnresolved(unresolved) {
+    const rows = unresolved.map(u => `
+      <li class="turn-change">
+        <span class="turn-facility">${foundry.utils.escapeHTML(u.name)}</span>
+        <span class="turn-order">${foundry.utils.escapeHTML(u.facility)}</span>
+      </li>
+    `).join('');
+
+    await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize('BASTION_MANAGER.Transfer.UnresolvedTitle'), icon: 'fa-solid fa-user-slash' },
+      position: { width: 420 },
+      content: `
+        <div class="bastion-turn-summary">
+          <p class="hint">${game.i18n.format('BASTION_MANAGER.Transfer.UnresolvedHint', { count: unresolved.length })}</p>
+          <ul class="turn-changes">${rows}</ul>
+        </div>
+      `,
+      ok: { label: game.i18n.localize('Close') },
+      rejectClose: false
+    });
+  }
+}
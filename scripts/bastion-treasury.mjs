@@ -0,0 +1,192 @@
+/**
+ * Bastion Treasury
+ * Gold held by a bastion, its ledger, and transfers to and from its owners
+ */
+
+/**
+ * Treasury and currency helpers for bastions
+ */
+export class BastionTreasury {
+
+  /**
+   * Categories a ledger entry can be filed under
+   * @type {Record<string, {label: string, icon: string}>}
+   */
+  static CATEGORIES = {
+    trade: { label: 'BASTION_MANAGER.Ledger.Categories.Trade', icon: 'fa-solid fa-scale-balanced' },
+    sale: { label: 'BASTION_MANAGER.Ledger.Categories.Sale', icon: 'fa-solid fa-tags' },
+    upkeep: { label: 'BASTION_MANAGER.Ledger.Categories.Upkeep', icon: 'fa-solid fa-user-tie' },
+    construction: { label: 'BASTION_MANAGER.Ledger.Categories.Construction', icon: 'fa-solid fa-trowel-bricks' },
+    transfer: { label: 'BASTION_MANAGER.Ledger.Categories.Transfer', icon: 'fa-solid fa-right-left' },
+    other: { label: 'BASTION_MANAGER.Ledger.Categories.Other', icon: 'fa-solid fa-coins' }
+  };
+
+  /**
+   * Record income or an expense in a bastion's ledger
+   * @param {string} actorId
+   * @param {Object} entry
+   * @param {number} entry.amount         Gold gained (positive) or spent (negative)
+   * @param {string} entry.description
+   * @param {string} [entry.category]
+   * @param {string} [entry.paidBy]       Who paid from their own coins, leaving the treasury untouched
+   * @returns {Promise<boolean>} Whether the entry was recorded
+   */
+  static async record(actorId, { amount, description, category = 'other', paidBy }) {
+    amount = Number(amount) || 0;
+    if (!amount) return false;
+
+    const { balance } = game.bastionManager.getTreasury(actorId);
+    if (!paidBy && (balance + amount < 0)) {
+      ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Warnings.TreasuryTooLow', { balance }));
+      return false;
+    }
+
+    return game.bastionManager.addLedgerEntry(actorId, { amount, description, category, ...(paidBy ? { paidBy } : {}) });
+  }
+
+  /**
+   * Record a construction cost an actor paid from their own coins in their bastion's ledger
+   * @param {Actor5e} actor
+   * @param {number} gold
+   * @param {string} description
+   * @returns {Promise<boolean>} Whether the entry was recorded
+   */
+  static async recordPurchase(actor, gold, description) {
+    const bastionId = game.bastionManager.getActorGroupId(actor.id) ?? actor.id;
+    return BastionTreasury.record(bastionId, { amount: -gold, description, category: 'construction', paidBy: actor.name });
+  }
+
+  /**
+   * Move gold from a bastion treasury into an owning actor's coins
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {Actor5e} actor     The actor receiving the gold
+   * @param {number} gold
+   * @returns {Promise<boolean>}
+   */
+  static async withdraw(bastionId, actor, gold) {
+    gold = Math.floor(Number(gold) || 0);
+    if (gold <= 0) return false;
+
+    // Foundry reports a failed update itself
+    const coins = foundry.utils.deepClone(actor.system.currency);
+    const paid = await actor.update({ 'system.currency.gp': (coins?.gp || 0) + gold }).catch(() => null);
+    if (!paid) return false;
+
+    const recorded = await BastionTreasury.record(bastionId, {
+      amount: -gold,
+      description: game.i18n.format('BASTION_MANAGER.Ledger.WithdrawnTo', { name: actor.name }),
+      category: 'transfer'
+    });
+
+    // Take the coins back if the treasury couldn't pay them out
+    if (!recorded) await actor.update({ 'system.currency': coins });
+    return recorded;
+  }
+
+  /**
+   * Move gold from an owning actor's coins into a bastion treasury
+   * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+   * @param {Actor5e} actor     The actor paying in the gold
+   * @param {number} gold
+   * @returns {Promise<boolean>}
+   */
+  static async deposit(bastionId, actor, gold) {
+    gold = Math.floor(Number(gold) || 0);
+    if (gold <= 0) return false;
+
+    const coins = foundry.utils.deepClone(actor.system.currency);
+    if (!(await BastionTreasury.spendGold(actor, gold))) {
+      ui.notifications.warn(game.i18n.format('BASTION_MANAGER.Warnings.NotEnoughGold', { gold }));
+      return false;
+    }
+
+    const recorded = await BastionTreasury.record(bastionId, {
+      amount: gold,
+      description: game.i18n.format('BASTION_MANAGER.Ledger.DepositedBy', { name: actor.name }),
+      category: 'transfer'
+    });
+
+    // Give the coins back if the treasury couldn't take them
+    if (!recorded) await actor.update({ 'system.currency': coins });
+    return recorded;
+  }
+
+  /**
+   * Prepare ledger entries with running totals, newest first
+   * @param {string} actorId
+   * @returns {Array}
+   */
+  static prepareLedger(actorId) {
+    const { ledger } = game.bastionManager.getTreasury(actorId);
+    let running = 0;
+    return ledger.map(entry => {
+      if (!entry.paidBy) running += entry.amount;
+      const category = BastionTreasury.CATEGORIES[entry.category] || BastionTreasury.CATEGORIES.other;
+      return {
+        ...entry,
+        date: new Date(entry.timestamp).toLocaleDateString(game.i18n.lang),
+        income: entry.amount > 0,
+        absAmount: Math.abs(entry.amount),
+        categoryLabel: game.i18n.localize(category.label),
+        categoryIcon: category.icon,
+        running
+      };
+    }).reverse();
+  }
+
+  /* -------------------------------------------- */
+  /*  Currency                                    */
+  /* -------------------------------------------- */
+
+  /**
+   * Total value of an actor's coins in gold pieces
+   * @param {Actor5e} actor
+   * @returns {number}
+   */
+  static getGoldValue(actor) {
+    const currencies = CONFIG.DND5E.currencies;
+    return Object.entries(actor.system.currency || {}).reduce((total, [denomination, amount]) => {
+      const conversion = currencies[denomination]?.conversion;
+      return conversion ? total + ((amount || 0) / conversion) : total;
+    }, 0);
+  }
+
+  /**
+   * Deduct an amount of gold from an actor's coins, spending larger coins first and giving change
+   * @param {Actor5e} actor
+   * @param {number} gold
+   * @returns {Promise<boolean>} Whether the actor could afford it
+   */
+  static async spendGold(actor, gold) {
+    if (!gold) return true;
+    if (BastionTreasury.getGoldValue(actor) < gold) return false;
+
+    const currencies = CONFIG.DND5E.currencies;
+    const currency = foundry.utils.deepClone(actor.system.currency);
+    const denominations = Object.keys(currency)
+      .filter(d => currencies[d]?.conversion)
+      .sort((a, b) => currencies[a].conversion - currencies[b].conversion);
+
+    let remaining = gold;
+    for (const denomination of denominations) {
+      if (remaining <= 0) break;
+      const value = 1 / currencies[denomination].conversion;
+      const spent = Math.min(currency[denomination] || 0, Math.ceil(remaining / value));
+      currency[denomination] -= spent;
+      remaining -= spent * value;
+    }
+
+    // Give any overpayment back in the largest coins that fit
+    let change = -remaining;
+    for (const denomination of denominations) {
+      if (change <= 0) break;
+      const value = 1 / currencies[denomination].conversion;
+      const coins = Math.floor((change + Number.EPSILON) / value);
+      currency[denomination] += coins;
+      change -= coins * value;
+    }
+
+    await actor.update({ 'system.currency': currency });
+    return true;
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Bastion Turn
+ * Advances facility orders for every enabled bastion at once
+ */
+
+import { BastionEvents } from './bastion-events.mjs';
+import { BastionReport } from './bastion-report.mjs';
+import { BastionCrafting } from './bastion-crafting.mjs';
+import { BastionHarvest } from './bastion-harvest.mjs';
+
+const MODULE_ID = 'bastion-manager';
+
+/**
+ * Runs bastion turns for the bastions shown in the overview
+ */
+export class BastionTurn {
+
+  /**
+   * Default number of days in a bastion turn when the system doesn't configure one
+   * @type {number}
+   */
+  static DEFAULT_DURATION = 7;
+
+  /**
+   * Number of days that pass in a single bastion turn
+   * @returns {number}
+   */
+  static getDuration() {
+    let config;
+    try {
+      config = game.settings.get('dnd5e', 'bastionConfiguration');
+    } catch (err) {
+      config = null;
+    }
+    return config?.duration || BastionTurn.DEFAULT_DURATION;
+  }
+
+  /**
+   * Get every actor whose bastion should take part in a turn
+   * @returns {Actor5e[]}
+   */
+  static getBastionActors() {
+    return game.actors.filter(a => {
+      if (!a.itemTypes.facility?.length) return false;
+      return game.bastionManager.isBastionEnabled(a.id);
+    });
+  }
+
+  /**
+   * Advance every enabled bastion by one turn (GM only)
+   * @returns {Promise<Array>} A summary entry for each bastion
+   */
+  static async advanceAll() {
+    if (!game.user.isGM) return [];
+
+    const duration = BastionTurn.getDuration();
+    const results = [];
+
+    for (const actor of BastionTurn.getBastionActors()) {
+      results.push(await BastionTurn.advanceBastion(actor, duration));
+    }
+
+    const byBastion = BastionTurn._groupResults(results);
+    await BastionTurn._recordChronicles(byBastion, duration);
+    if (game.settings.get(MODULE_ID, 'turnReports')) await BastionTurn._postReports(byBastion);
+    return results;
+  }
+
+  /**
+   * Gather turn summaries by the bastion they belong to, so a combined bastion's members are together
+   * @param {Array} results  Summaries from advanceBastion
+   * @returns {Map<string, Array>}
+   */
+  static _groupResults(results) {
+    return Map.groupBy(results, r => game.bastionManager.getActorGroupId(r.actorId) ?? r.actorId);
+  }
+
+  /**
+   * Add a turn to the chronicle of each bastion that took part in it.
+   * Combined bastions get one entry covering all their members.
+   * @param {Map<string, Array>} byBastion  Summaries from advanceBastion, grouped by bastion
+   * @param {number} duration               Days that have passed
+   */
+  static async _recordChronicles(byBastion, duration) {
+    for (const [bastionId, turn] of byBastion) {
+      const isGroup = !!game.bastionManager.getBastionGroup(bastionId);
+      await game.bastionManager.addChronicleEntry(bastionId, {
+        days: duration,
+        orders: turn.flatMap(result => result.changes.map(({ facilityName, order, orderLabel, icon, value, max, completed }) => {
+          return { facilityName, order, orderLabel, icon, value, max, completed, ownerName: isGroup ? result.actorName : null };
+        })),
+        events: turn.flatMap(result => result.events)
+      });
+    }
+  }
+
+  /**
+   * Whisper the owners of each bastion that took part in a turn a report on it.
+   * Combined bastions get one report rather than one per member.
+   * @param {Map<string, Array>} byBastion  Summaries from advanceBastion, grouped by bastion
+   */
+  static async _postReports(byBastion) {
+    for (const [bastionId, turn] of byBastion) {
+      await BastionReport.post(bastionId, { mode: 'owners', turn });
+    }
+  }
+
+  /**
+   * Advance a single bastion by a number of days
+   * @param {Actor5e} actor
+   * @param {number} duration  Days that have passed
+   * @returns {Promise<Object>}
+   */
+  static async advanceBastion(actor, duration) {
+    const bastionData = game.bastionManager.getBastionData(actor.id);
+    const summary = {
+      actorId: actor.id,
+      actorName: actor.name,
+      bastionName: bastionData.name || actor.system.bastion?.name || `${actor.name}'s Bastion`,
+      changes: [],
+      events: [],
+      crafted: [],
+      harvested: []
+    };
+
+    const updates = [];
+    for (const facility of actor.itemTypes.facility || []) {
+      const { update, change } = BastionTurn._advanceFacility(facility, duration);
+      if (!change) continue;
+      updates.push({ _id: facility.id, ...update });
+      summary.changes.push(change);
+    }
+
+    if (updates.length) await actor.updateEmbeddedDocuments('Item', updates);
+
+    // Finished Craft orders hand their item over to the actor
+    const crafts = summary.changes.filter(c => c.completed && c.craft).map(c => ({ facilityName: c.facilityName, ...c.craft }));
+    if (crafts.length) summary.crafted = await BastionCrafting.deliver(actor, crafts);
+
+    // As do finished Harvest orders, with what the facility yields
+    const harvests = summary.changes
+      .filter(c => c.completed && (c.order === 'harvest'))
+      .map(c => actor.items.get(c.facilityId))
+      .filter(Boolean);
+    if (harvests.length) summary.harvested = await BastionHarvest.collect(actor, harvests);
+
+    // A completed Maintain order means rolling on the bastion events table
+    if (summary.changes.some(c => c.order === 'maintain' && c.completed)) {
+      summary.events = await BastionEvents.roll(actor);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Work out how a facility's order progresses over a number of days
+   * @param {Item5e} facility
+   * @param {number} duration
+   * @returns {{update: Object|null, change: Object|null}}
+   */
+  static _advanceFacility(facility, duration) {
+    const progress = facility.system.progress;
+    if (!progress?.order || !progress.max) return { update: null, change: null };
+
+    const orderConfig = CONFIG.DND5E.facilities.orders[progress.order] || {};
+    const previous = progress.value || 0;
+    const value = Math.min(previous + duration, progress.max);
+    const completed = value >= progress.max;
+
+    const change = {
+      facilityId: facility.id,
+      facilityName: facility.name,
+      order: progress.order,
+      orderLabel: game.i18n.localize(orderConfig.label || progress.order),
+      icon: orderConfig.icon,
+      previous,
+      value,
+      max: progress.max,
+      completed
+    };
+
+    if (!completed) return { update: { 'system.progress.value': value }, change };
+
+    // Remember what was being crafted before the order is cleared
+    if ((progress.order === 'craft') && facility.system.craft?.item) {
+      change.craft = { item: facility.system.craft.item, quantity: facility.system.craft.quantity || 1 };
+    }
+
+    const update = BastionTurn._completeOrder(facility, progress.order);
+    return { update, change };
+  }
+
+  /**
+   * Build the update that finishes a facility's current order
+   * @param {Item5e} facility
+   * @param {string} order
+   * @returns {Object}
+   */
+  static _completeOrder(facility, order) {
+    const update = {
+      'system.progress.value': 0,
+      'system.progress.max': null,
+      'system.progress.order': ''
+    };
+
+    if (order === 'repair') update['system.disabled'] = false;
+    if (order === 'build') update['system.building.built'] = true;
+    if (order === 'craft') update['system.craft.item'] = null;
+
+    // A finished enlargement switches the facility to the size it was building towards
+    if (order === 'enlarge') {
+      update['system.size'] = facility.system.building?.size || facility.system.size;
+      update['system.building.built'] = true;
+    }
+
+    return update;
+  }
+
+  /**
+   * Show a dialog summarising the results of a bastion turn
+   * @param {Array} results  Summaries returned by advanceAll
+   */
+  static async showSummary(results) {
+    const escape = foundry.utils.escapeHTML;
+    const sections = results.map(result => {
+      const rows = result.changes.length ? result.changes.map(change => {
+        const status = change.completed
+          ? `<span class="turn-status completed"><i class="fas fa-check"></i> ${game.i18n.localize('BASTION_MANAGER.Turn.Completed')}</span>`
+          : `<span class="turn-status">${change.value} / ${change.max} ${game.i18n.localize('BASTION_MANAGER.Facilities.Days')}</span>`;
+        return `
+          <li class="turn-change">
+            ${change.icon ? `<img src="${change.icon}" alt="">` : ''}
+            <span class="turn-facility">${escape(change.facilityName)}</span>
+            <span class="turn-order">${escape(change.orderLabel)}</span>
+            ${status}
+          </li>
+        `;
+      }).join('') : `<li class="turn-change no-changes">${game.i18n.localize('BASTION_MANAGER.Turn.NoChanges')}</li>`;
+
+      const delivered = [
+        ...(result.crafted || []).map(name => ({ name, icon: 'fa-hammer', label: 'BASTION_MANAGER.Turn.Crafted' })),
+        ...(result.harvested || []).map(name => ({ name, icon: 'fa-wheat-awn', label: 'BASTION_MANAGER.Harvest.Harvested' }))
+      ].map(item => `
+        <li class="turn-change turn-item">
+          <i class="fas ${item.icon}"></i>
+          <span class="turn-facility">${escape(item.name)}</span>
+          <span class="turn-order">${game.i18n.localize(item.label)}</span>
+        </li>
+      `).join('');
+
+      const events = (result.events || []).map(event => `
+        <li class="turn-change turn-event">
+          <i class="fas fa-dice-d20"></i>
+          <span class="turn-facility">${escape(event.name)}</span>
+          ${event.outcome ? `<span class="turn-order">${escape(event.outcome)}</span>` : ''}
+        </li>
+      `).join('');
+
+      return `
+        <section class="turn-bastion">
+          <h4>${escape(result.bastionName)} <span class="turn-owner">${escape(result.actorName)}</span></h4>
+          <ul class="turn-changes">${rows}${delivered}${events}</ul>
+        </section>
+      `;
+    }).join('');
+
+    const content = `
+      <div class="bastion-turn-summary">
+        <p class="hint">${game.i18n.format('BASTION_MANAGER.Turn.SummaryHint', { days: BastionTurn.getDuration() })}</p>
+        ${sections || `<p class="no-bastions">${game.i18n.localize('BASTION_MANAGER.Turn.NoBastions')}</p>`}
+      </div>
+    `;
+
+    await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize('BASTION_MANAGER.Turn.SummaryTitle'),
+        icon: 'fa-solid fa-hourglass-half'
+      },
+      position: { width: 460 },
+      content,
+      ok: { label: game.i18n.localize('Close') },
+      rejectClose: false
+    });
+  }
+}
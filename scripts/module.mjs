@@ -6,6 +6,15 @@
 
 import { BastionOverview } from './bastion-overview.mjs';
 import { BastionDetail } from './bastion-detail.mjs';
+import { BastionTurn } from './bastion-turn.mjs';
+import { BastionAttack } from './bastion-attack.mjs';
+import { BastionTreasury } from './bastion-treasury.mjs';
+import { BastionTransfer } from './bastion-transfer.mjs';
+import { BastionStorage } from './bastion-storage.mjs';
+import { BastionMigration } from './bastion-migration.mjs';
+import { BastionScene } from './bastion-scene.mjs';
+import { BastionJournal } from './bastion-journal.mjs';
+import { BastionReport } from './bastion-report.mjs';
 
 // Module constants
 const MODULE_ID = 'bastion-manager';
@@ -17,6 +26,7 @@ Hooks.once('init', () => {
   console.log(`${MODULE_ID} | Initializing Bastion Manager`);
   
   // Register module settings
+  // Actor bastions keep this data in actor flags; these settings hold combined bastions
   game.settings.register(MODULE_ID, 'bastionData', {
     name: 'Bastion Data',
     hint: 'Stored bastion configurations (images, names, visibility)',
@@ -54,6 +64,127 @@ Hooks.once('init', () => {
     default: {}
   });
 
+  // Characters that share a combined bastion, keyed by group ID
+  game.settings.register(MODULE_ID, 'bastionGroups', {
+    name: 'Combined Bastions',
+    hint: 'Groups of characters who have combined their bastions',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Record of every bastion turn, keyed by actor
+  game.settings.register(MODULE_ID, 'chronicle', {
+    name: 'Bastion Chronicle',
+    hint: 'Orders, events and results recorded each bastion turn',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Gold held by each combined bastion and its ledger, keyed by group
+  game.settings.register(MODULE_ID, 'treasury', {
+    name: 'Bastion Treasury',
+    hint: 'Treasury balance and ledger entries for each bastion',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // RollTable used for bastion events after a Maintain order
+  game.settings.register(MODULE_ID, 'eventsTable', {
+    name: 'BASTION_MANAGER.Settings.EventsTable.Name',
+    hint: 'BASTION_MANAGER.Settings.EventsTable.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  // Items each facility yields on a Harvest order, keyed by facility identifier
+  game.settings.register(MODULE_ID, 'harvestOutputs', {
+    name: 'Harvest Outputs',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Schema version of the stored data, and the module version that last migrated it
+  game.settings.register(MODULE_ID, 'schemaVersion', {
+    name: 'Data Schema Version',
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  game.settings.register(MODULE_ID, 'moduleVersion', {
+    name: 'Last Migrated Module Version',
+    scope: 'world',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  // Whisper each owner a report on their bastion when a turn ends
+  game.settings.register(MODULE_ID, 'turnReports', {
+    name: 'BASTION_MANAGER.Settings.TurnReports.Name',
+    hint: 'BASTION_MANAGER.Settings.TurnReports.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // NPC copied for each recruit, and the names recruits are given
+  game.settings.register(MODULE_ID, 'recruitTemplate', {
+    name: 'BASTION_MANAGER.Settings.RecruitTemplate.Name',
+    hint: 'BASTION_MANAGER.Settings.RecruitTemplate.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'recruitNames', {
+    name: 'BASTION_MANAGER.Settings.RecruitNames.Name',
+    hint: 'BASTION_MANAGER.Settings.RecruitNames.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  // The largest creature a facility's creature slots will take
+  game.settings.register(MODULE_ID, 'creatureMaxSize', {
+    name: 'BASTION_MANAGER.Settings.CreatureMaxSize.Name',
+    hint: 'BASTION_MANAGER.Settings.CreatureMaxSize.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: Object.fromEntries(Object.entries(CONFIG.DND5E.actorSizes).map(([key, size]) => [key, size.label])),
+    default: 'lg'
+  });
+
+  // Charge for new facilities and build them over bastion turns
+  game.settings.register(MODULE_ID, 'constructionMode', {
+    name: 'BASTION_MANAGER.Settings.ConstructionMode.Name',
+    hint: 'BASTION_MANAGER.Settings.ConstructionMode.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => {
+      for (const app of game.bastionManager?.detailApps?.values() ?? []) {
+        if (app.rendered) app.render();
+      }
+    }
+  });
+
   // Configurable setting for columns per row
   game.settings.register(MODULE_ID, 'columnsPerRow', {
     name: 'BASTION_MANAGER.Settings.ColumnsPerRow.Name',
@@ -121,16 +252,17 @@ Hooks.once('ready', () => {
     },
     
     /**
-     * Open the detail view for a specific actor's bastion
-     * @param {string} actorId 
+     * Open the detail view for an actor's bastion or a combined bastion
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion group
      */
-    openDetail: (actorId) => {
-      const existing = game.bastionManager.detailApps.get(actorId);
+    openDetail: (bastionId) => {
+      const existing = game.bastionManager.detailApps.get(bastionId);
       if (existing?.rendered) {
         existing.bringToFront();
       } else {
-        const app = new BastionDetail({ actorId });
-        game.bastionManager.detailApps.set(actorId, app);
+        const isGroup = !!game.bastionManager.getBastionGroup(bastionId);
+        const app = new BastionDetail(isGroup ? { groupId: bastionId } : { actorId: bastionId });
+        game.bastionManager.detailApps.set(bastionId, app);
         app.render({ force: true });
       }
     },
@@ -141,19 +273,66 @@ Hooks.once('ready', () => {
      * @returns {Object}
      */
     getBastionData: (actorId) => {
-      const data = game.settings.get(MODULE_ID, 'bastionData') || {};
-      return data[actorId] || {};
+      return BastionStorage.get('bastionData', actorId) || {};
     },
     
     /**
      * Set bastion data for an actor
      * @param {string} actorId 
      * @param {Object} newData 
+     * @returns {Promise<boolean>} Whether the data was saved
      */
     setBastionData: async (actorId, newData) => {
-      const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'bastionData') || {});
-      data[actorId] = foundry.utils.mergeObject(data[actorId] || {}, newData);
-      await game.settings.set(MODULE_ID, 'bastionData', data);
+      if (!game.bastionManager.canEditBastion(actorId)) return false;
+      const data = foundry.utils.mergeObject(game.bastionManager.getBastionData(actorId), newData, { inplace: false });
+      return BastionStorage.set('bastionData', actorId, data);
+    },
+    
+    /**
+     * Actor types the GM can give a bastion to
+     * @type {string[]}
+     */
+    FACILITY_ACTOR_TYPES: ['character', 'npc', 'group'],
+    
+    /**
+     * Check whether an actor can hold facility items, and so can have a bastion
+     * @param {Actor5e} actor 
+     * @returns {boolean}
+     */
+    canHoldFacilities: (actor) => {
+      if (!actor) return false;
+      return game.bastionManager.FACILITY_ACTOR_TYPES.includes(actor.type) || !!actor.itemTypes.facility?.length;
+    },
+    
+    /**
+     * Check whether an actor's facility slots come from the level-based advancement table.
+     * Other actors, like NPCs and groups, have the slots the GM gives them.
+     * @param {Actor5e} actor 
+     * @returns {boolean}
+     */
+    usesLevelTable: (actor) => (actor?.type === 'character') && Number.isFinite(actor.system.details?.level),
+    
+    /**
+     * Get the number of basic and special facilities an actor may have, including GM overrides
+     * @param {string} actorId 
+     * @returns {{basic: number, special: number}}
+     */
+    getSlotLimits: (actorId) => {
+      const actor = game.actors.get(actorId);
+      const limits = { basic: 0, special: 0 };
+      if (!actor) return limits;
+
+      const overrides = game.bastionManager.getBuildingOverrides(actorId);
+      limits.basic = overrides.basic || 0;
+      limits.special = overrides.special || 0;
+      if (!game.bastionManager.usesLevelTable(actor)) return limits;
+
+      const level = actor.system.details.level || 1;
+      for (const [type, config] of Object.entries(CONFIG.DND5E.facilities.advancement)) {
+        const [, available] = Object.entries(config).reverse().find(([lvl]) => Number(lvl) <= level) || [];
+        if (type in limits) limits[type] += available || 0;
+      }
+      return limits;
     },
     
     /**
@@ -178,6 +357,46 @@ Hooks.once('ready', () => {
       await game.settings.set(MODULE_ID, 'buildingOverrides', data);
     },
     
+    /**
+     * Sharing levels, from least to most trusted. Each level includes those below it.
+     * @enum {number}
+     */
+    PERMISSION_LEVELS: {
+      NONE: 0,
+      VIEW: 1,
+      STAFF: 2,
+      ORDERS: 3,
+      EDIT: 4
+    },
+    
+    /**
+     * Get the level a bastion is shared with a user at, ignoring ownership
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion group
+     * @param {string} [userId]
+     * @returns {number} A PERMISSION_LEVELS value
+     */
+    getSharedLevel: (bastionId, userId = game.user.id) => {
+      const visibility = game.bastionManager.getVisibility(bastionId);
+      return Math.max(visibility.default || 0, visibility.users[userId] || 0);
+    },
+    
+    /**
+     * Get what a user may do with a bastion. GMs and owners of a member have full edit access.
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion group
+     * @param {string} [userId]
+     * @returns {number} A PERMISSION_LEVELS value
+     */
+    getPermission: (bastionId, userId = game.user.id) => {
+      const user = game.users.get(userId);
+      if (!user) return game.bastionManager.PERMISSION_LEVELS.NONE;
+      if (user.isGM) return game.bastionManager.PERMISSION_LEVELS.EDIT;
+      
+      const members = game.bastionManager.getBastionMembers(bastionId);
+      if (members.some(a => a.testUserPermission(user, 'OWNER'))) return game.bastionManager.PERMISSION_LEVELS.EDIT;
+      
+      return game.bastionManager.getSharedLevel(bastionId, userId);
+    },
+    
     /**
      * Check if a user can view an actor's bastion
      * @param {string} actorId 
@@ -185,33 +404,84 @@ Hooks.once('ready', () => {
      * @returns {boolean}
      */
     canViewBastion: (actorId, userId = game.user.id) => {
-      // GMs can always view
-      if (game.users.get(userId)?.isGM) return true;
-      
-      // Check if user owns the actor
-      const actor = game.actors.get(actorId);
-      if (actor?.isOwner) return true;
-      
-      // Check visibility settings
-      const visibility = game.settings.get(MODULE_ID, 'visibilitySettings') || {};
-      const actorVisibility = visibility[actorId] || {};
-      
-      // Check if shared with everyone or specific user
-      return actorVisibility.public || actorVisibility.users?.includes(userId);
+      return game.bastionManager.getPermission(actorId, userId) >= game.bastionManager.PERMISSION_LEVELS.VIEW;
     },
     
     /**
-     * Set visibility for a bastion
+     * Check if a user can change a bastion's settings
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion group
+     * @param {string} [userId]
+     * @returns {boolean}
+     */
+    canEditBastion: (bastionId, userId = game.user.id) => {
+      return game.bastionManager.getPermission(bastionId, userId) >= game.bastionManager.PERMISSION_LEVELS.EDIT;
+    },
+    
+    /**
+     * Get who a bastion is shared with, and at what level
+     * @param {string} actorId 
+     * @returns {{default: number, users: Object<string, number>}}
+     */
+    getVisibility: (actorId) => {
+      return BastionMigration.normaliseVisibility(BastionStorage.get('visibilitySettings', actorId));
+    },
+    
+    /**
+     * Set who a bastion is shared with. Only owners and GMs may do this, not players it's shared with.
      * @param {string} actorId 
-     * @param {Object} settings 
+     * @param {{default: number, users: Object<string, number>}} settings 
+     * @returns {Promise<boolean>} Whether the settings were saved
      */
     setVisibility: async (actorId, settings) => {
-      const actor = game.actors.get(actorId);
-      if (!actor?.isOwner && !game.user.isGM) return;
-      
-      const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'visibilitySettings') || {});
-      data[actorId] = settings;
-      await game.settings.set(MODULE_ID, 'visibilitySettings', data);
+      if (!game.user.isGM && !game.bastionManager.getBastionMembers(actorId).some(a => a.isOwner)) return false;
+      return BastionStorage.set('visibilitySettings', actorId, BastionMigration.normaliseVisibility(settings));
+    },
+    
+    /**
+     * Get every combined bastion, keyed by group ID
+     * @returns {Object<string, {name: string, members: string[]}>}
+     */
+    getBastionGroups: () => {
+      return game.settings.get(MODULE_ID, 'bastionGroups') || {};
+    },
+    
+    /**
+     * Get a combined bastion by its group ID
+     * @param {string} groupId 
+     * @returns {{name: string, members: string[]}|null}
+     */
+    getBastionGroup: (groupId) => {
+      return game.bastionManager.getBastionGroups()[groupId] || null;
+    },
+    
+    /**
+     * Get the ID of the combined bastion an actor belongs to
+     * @param {string} actorId 
+     * @returns {string|null}
+     */
+    getActorGroupId: (actorId) => {
+      const groups = game.bastionManager.getBastionGroups();
+      return Object.keys(groups).find(id => groups[id].members?.includes(actorId)) ?? null;
+    },
+    
+    /**
+     * Get the actors whose facilities make up a bastion
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion group
+     * @returns {Actor5e[]}
+     */
+    getBastionMembers: (bastionId) => {
+      const group = game.bastionManager.getBastionGroup(bastionId);
+      const ids = group ? group.members : [bastionId];
+      return ids.map(id => game.actors.get(id)).filter(Boolean);
+    },
+    
+    /**
+     * Replace the combined bastion groups (GM only)
+     * @param {Object} groups 
+     */
+    setBastionGroups: async (groups) => {
+      if (!game.user.isGM) return;
+      await game.settings.set(MODULE_ID, 'bastionGroups', groups);
     },
     
     /**
@@ -221,8 +491,14 @@ Hooks.once('ready', () => {
      */
     isBastionEnabled: (actorId) => {
       const enabled = game.settings.get(MODULE_ID, 'enabledBastions') || {};
-      // By default, all bastions are enabled unless explicitly disabled
-      return enabled[actorId] !== false;
+      if (actorId in enabled) return enabled[actorId] !== false;
+
+      // Player characters have a bastion unless the GM removes it. Other actors only have one once the GM adds it.
+      const actor = game.actors.get(actorId);
+      if (!actor) return !!game.bastionManager.getBastionGroup(actorId);
+      return (actor.type === 'character') && game.users.some(u => {
+        return !u.isGM && (actor.ownership[u.id] === CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER);
+      });
     },
     
     /**
@@ -243,10 +519,159 @@ Hooks.once('ready', () => {
       }
     },
     
+    /**
+     * Get the chronicle entries for an actor's bastion or a combined bastion, oldest first
+     * @param {string} actorId 
+     * @returns {Array}
+     */
+    getChronicle: (actorId) => {
+      const data = game.settings.get(MODULE_ID, 'chronicle') || {};
+      return data[actorId] || [];
+    },
+    
+    /**
+     * Record a bastion turn in the chronicle of an actor's bastion or a combined bastion (GM only)
+     * @param {string} actorId 
+     * @param {Object} entry 
+     */
+    addChronicleEntry: async (actorId, entry) => {
+      if (!game.user.isGM) return;
+      const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'chronicle') || {});
+      const entries = data[actorId] || [];
+      entries.push({
+        id: foundry.utils.randomID(),
+        turn: entries.length + 1,
+        timestamp: Date.now(),
+        worldTime: game.time.worldTime,
+        ...entry
+      });
+      data[actorId] = entries;
+      await game.settings.set(MODULE_ID, 'chronicle', data);
+    },
+    
+    /**
+     * Get the treasury for an actor's bastion or a combined bastion
+     * @param {string} actorId 
+     * @returns {{balance: number, ledger: Array}}
+     */
+    getTreasury: (actorId) => {
+      return { balance: 0, ledger: [], ...BastionStorage.get('treasury', actorId) };
+    },
+    
+    /**
+     * Add an income (positive) or expense (negative) entry to an actor's bastion ledger
+     * @param {string} actorId 
+     * @param {Object} entry 
+     * @returns {Promise<boolean>} Whether the entry was saved
+     */
+    addLedgerEntry: async (actorId, entry) => {
+      if (!game.bastionManager.canEditBastion(actorId)) return false;
+      
+      // A combined bastion only chronicles turns taken since it was formed, so fall back to a member's count
+      const [member] = game.bastionManager.getBastionMembers(actorId);
+      const turn = game.bastionManager.getChronicle(actorId).length
+        || (member ? game.bastionManager.getChronicle(member.id).length : 0);
+      
+      const treasury = foundry.utils.deepClone(game.bastionManager.getTreasury(actorId));
+      if (!entry.paidBy) treasury.balance += entry.amount;
+      treasury.ledger.push({
+        id: foundry.utils.randomID(),
+        timestamp: Date.now(),
+        turn,
+        userId: game.user.id,
+        ...entry
+      });
+      return BastionStorage.set('treasury', actorId, treasury);
+    },
+    
+    /**
+     * Run a bastion turn for every enabled bastion (GM only)
+     * @returns {Promise<Array>}
+     */
+    advanceTurn: () => BastionTurn.advanceAll(),
+    
+    /**
+     * Resolve a bastion attack against an actor's defenders (GM only)
+     * @param {string} actorId 
+     * @returns {Promise<string|undefined>}
+     */
+    resolveAttack: async (actorId) => {
+      if (!game.user.isGM) return;
+      const actor = game.actors.get(actorId);
+      if (actor) return BastionAttack.resolve(actor);
+    },
+    
+    /**
+     * Bundle a bastion's settings and facilities for export
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+     * @returns {Object}
+     */
+    exportBastion: (bastionId) => BastionTransfer.exportData(bastionId),
+    
+    /**
+     * Recreate an exported bastion on an actor
+     * @param {string} actorId 
+     * @param {Object} data  Data produced by exportBastion
+     * @param {Object} [options]
+     * @returns {Promise<{created: number, unresolved: Array}>}
+     */
+    importBastion: async (actorId, data, options) => {
+      const actor = game.actors.get(actorId);
+      if (!actor?.isOwner && !game.user.isGM) return null;
+      return BastionTransfer.importData(actor, data, options);
+    },
+    
+    /**
+     * Create a Scene for a bastion, or update the one made earlier (GM only)
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+     * @returns {Promise<Scene|null>}
+     */
+    createScene: (bastionId) => BastionScene.createOrUpdate(bastionId),
+    
+    /**
+     * Post a status report for a bastion to chat
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+     * @param {Object} [options]
+     * @param {string} [options.mode='owners']  Whisper to the bastion's owners, or 'public'
+     * @returns {Promise<ChatMessage|null>}
+     */
+    postReport: (bastionId, options) => {
+      if (!game.bastionManager.canEditBastion(bastionId)) return null;
+      return BastionReport.post(bastionId, options);
+    },
+    
+    /**
+     * Link a bastion to a journal with an overview page and a page per facility
+     * @param {string} bastionId  An actor ID, or the ID of a combined bastion
+     * @param {JournalEntry} [journal]  An existing journal. A new one is created if omitted.
+     * @returns {Promise<JournalEntry|null>}
+     */
+    linkJournal: (bastionId, journal) => BastionJournal.link(bastionId, journal),
+    
+    /**
+     * Remove stored data for deleted actors and report what was removed (GM only)
+     * @param {Object} [options]
+     * @param {boolean} [options.prompt=true]  Confirm first and show the report in a dialog
+     * @returns {Promise<Array<{setting: string, id: string, name: string}>>}
+     */
+    cleanUp: ({ prompt = true } = {}) => {
+      return prompt ? BastionMigration.runMaintenance() : BastionMigration.purgeOrphans();
+    },
+    
     MODULE_ID
   };
+  
+  BastionStorage.registerSocket();
+  BastionMigration.migrateIfNeeded().catch(err => {
+    console.error(`${MODULE_ID} | Could not migrate bastion data`, err);
+  });
 });
 
+/**
+ * Open a facility when its note on a bastion scene is double-clicked
+ */
+Hooks.on('drawNote', (note) => BastionScene.onDrawNote(note));
+
 /**
  * Add bastion manager button to the Notes scene controls
  */
@@ -267,5 +692,101 @@ Hooks.on('getSceneControlButtons', (controls) => {
   };
 });
 
+/**
+ * Delay before open bastion windows re-render after a change, in milliseconds.
+ * A bastion turn updates many facilities at once, so changes are gathered up and applied together.
+ * @type {number}
+ */
+const REFRESH_DELAY = 150;
+
+/**
+ * Changes waiting to be shown in open bastion windows
+ * @type {{all: boolean, actorIds: Set<string>}}
+ */
+const pendingRefresh = { all: false, actorIds: new Set() };
+
+/**
+ * Re-render the overview and any detail windows affected by the pending changes
+ */
+const flushRefresh = foundry.utils.debounce(() => {
+  const { all, actorIds } = pendingRefresh;
+  pendingRefresh.all = false;
+  pendingRefresh.actorIds = new Set();
+  if (!game.bastionManager) return;
+
+  if (game.bastionManager.overview?.rendered) game.bastionManager.overview.render();
+  for (const app of game.bastionManager.detailApps.values()) {
+    if (!app.rendered) continue;
+    if (all || Array.from(actorIds).some(id => app.includesActor(id))) app.render();
+  }
+}, REFRESH_DELAY);
+
+/**
+ * Queue a refresh of open bastion windows
+ * @param {string} [actorId]  The actor that changed. Omit to refresh every window.
+ */
+function queueRefresh(actorId) {
+  if (actorId) pendingRefresh.actorIds.add(actorId);
+  else pendingRefresh.all = true;
+  flushRefresh();
+}
+
+/**
+ * Check whether an actor is part of a bastion the windows show
+ * @param {Actor5e} actor
+ * @returns {boolean}
+ */
+function isBastionMember(actor) {
+  if (!game.bastionManager) return false;
+  return !!actor.itemTypes.facility?.length
+    || !!game.bastionManager.getActorGroupId(actor.id)
+    || game.bastionManager.isBastionEnabled(actor.id);
+}
+
+/**
+ * Keep open bastion windows in step with the actors, facilities and settings they show
+ */
+for (const hook of ['createActor', 'updateActor', 'deleteActor']) {
+  Hooks.on(hook, (actor, changes) => {
+    // A change of owner can give a player character a bastion or take it away
+    const ownerChanged = (hook === 'updateActor') && ('ownership' in changes);
+    if (ownerChanged || isBastionMember(actor)) queueRefresh(actor.id);
+  });
+}
+
+for (const hook of ['createItem', 'updateItem', 'deleteItem']) {
+  Hooks.on(hook, (item) => {
+    if ((item.type === 'facility') && item.parent) queueRefresh(item.parent.id);
+  });
+}
+
+for (const hook of ['createJournalEntryPage', 'updateJournalEntryPage', 'deleteJournalEntryPage']) {
+  Hooks.on(hook, (page) => {
+    if (page.parent?.getFlag(MODULE_ID, 'bastionId')) queueRefresh();
+  });
+}
+
+/**
+ * Give new facilities a page in their bastion's journal
+ */
+Hooks.on('createItem', (item, options, userId) => {
+  BastionJournal.onCreateFacility(item, userId).catch(err => {
+    console.error(`${MODULE_ID} | Could not add a journal page for ${item.name}`, err);
+  });
+});
+
+for (const hook of ['createSetting', 'updateSetting']) {
+  Hooks.on(hook, (setting) => {
+    if (setting.key?.startsWith(`${MODULE_ID}.`)) queueRefresh();
+  });
+}
+
+/**
+ * Wire up buttons on bastion chat cards
+ */
+Hooks.on('renderChatMessageHTML', (message, html) => {
+  BastionAttack.onRenderChatMessage(message, html);
+});
+
 // Export for use in other modules
-export { BastionOverview, BastionDetail, MODULE_ID };
+export { BastionOverview, BastionDetail, BastionTurn, BastionAttack, BastionTreasury, BastionTransfer, BastionStorage, BastionMigration, BastionScene, BastionJournal, BastionReport, MODULE_ID };